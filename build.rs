@@ -65,28 +65,67 @@ const BASE_DIR_VARS: &[&str] = &[
 const COMMANDS: &[&str] = &[
     "mkdir",
     "create",
+    "make_temp_file",
+    "make_temp_dir",
     "copy_file",
+    "copy_dir",
+    "diff_dirs",
+    "sync_dir",
+    "create_archive",
+    "list_archive",
+    "extract_archive",
     "remove",
     "rename",
+    "symlink",
+    "link",
+    "read_link",
+    "real_path",
     "truncate",
     "ftruncate",
+    "lock",
+    "try_lock",
+    "unlock",
+    "fsync",
+    "fdatasync",
+    "chmod",
+    "fchmod",
+    "chown",
+    "lchown",
+    "utimes",
+    "lutimes",
+    "futimes",
     "write",
+    "write_at",
     "write_file",
     "write_text_file",
     "read_dir",
+    "walk_dir",
+    "glob",
     "read_file",
     "read",
+    "read_at",
     "open",
     "read_text_file",
     "read_text_file_lines",
     "read_text_file_lines_next",
+    "read_text_file_lines_batch",
+    "hash_file",
+    "hash_fd",
     "seek",
     "stat",
     "lstat",
     "fstat",
     "exists",
+    "statfs",
+    "disk_usage",
     "watch",
     "unwatch",
+    "add_watch_path",
+    "remove_watch_path",
+    "pause_watcher",
+    "resume_watcher",
+    "watcher_info",
+    "list_watchers",
 ];
 
 fn main() {
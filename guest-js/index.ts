@@ -2,6 +2,8 @@
 // SPDX-License-Identifier: Apache-2.0
 // SPDX-License-Identifier: MIT
 
+/// <reference lib="esnext.disposable" preserve="true" />
+
 /**
  * Access the file system.
  *
@@ -62,7 +64,19 @@
  */
 
 import { BaseDirectory } from '@tauri-apps/api/path'
-import { Channel, invoke, Resource } from '@tauri-apps/api/core'
+import {
+  Channel,
+  invoke as coreInvoke,
+  Resource,
+  type InvokeArgs,
+  type InvokeOptions
+} from '@tauri-apps/api/core'
+
+// webviews without explicit resource management don't define `Symbol.asyncDispose`,
+// fall back to the registered symbol polyfills use so the method isn't defined as `undefined`
+const asyncDispose: typeof Symbol.asyncDispose =
+  Symbol.asyncDispose ??
+  (Symbol.for('Symbol.asyncDispose') as typeof Symbol.asyncDispose)
 
 enum SeekMode {
   Start = 0,
@@ -262,12 +276,282 @@ function fromBytes(buffer: FixedSizeArray<number, 8>): number {
   return x
 }
 
+/**
+ * A stable code describing why a file system operation failed.
+ *
+ * @since 2.1.0
+ */
+type FsErrorCode =
+  | 'NotFound'
+  | 'PermissionDenied'
+  | 'AlreadyExists'
+  | 'ScopeForbidden'
+  | 'InvalidPath'
+  | 'IsADirectory'
+  | 'NotADirectory'
+  | 'DirectoryNotEmpty'
+  | 'InvalidInput'
+  | 'InvalidData'
+  | 'BadResource'
+  | 'Cancelled'
+  | 'Unsupported'
+  | 'Unknown'
+
+interface FsErrorPayload {
+  code: FsErrorCode
+  message: string
+  path: string | null
+  syscall: string | null
+  errno: number | null
+}
+
+/**
+ * The error every API on this module rejects with when the operation fails on the Rust side.
+ *
+ * @example
+ * ```typescript
+ * import { readTextFile, isNotFound, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * try {
+ *   await readTextFile('app.conf', { baseDir: BaseDirectory.AppConfig });
+ * } catch (e) {
+ *   if (isNotFound(e)) {
+ *     // create a default config
+ *   }
+ * }
+ * ```
+ *
+ * @since 2.1.0
+ */
+class FsError extends Error {
+  /** The stable error code. */
+  readonly code: FsErrorCode
+  /** The path the failed operation was performed on, if known. */
+  readonly path: string | null
+  /** The operation that failed, e.g. `open`, `read_dir` or `rename`. */
+  readonly syscall: string | null
+  /** The raw OS error number, if the error was reported by the operating system. */
+  readonly errno: number | null
+
+  constructor(payload: FsErrorPayload) {
+    super(payload.message)
+    this.name = 'FsError'
+    this.code = payload.code
+    this.path = payload.path
+    this.syscall = payload.syscall
+    this.errno = payload.errno
+  }
+}
+
+function isFsErrorPayload(err: unknown): err is FsErrorPayload {
+  return (
+    typeof err === 'object' &&
+    err !== null &&
+    typeof (err as FsErrorPayload).code === 'string' &&
+    typeof (err as FsErrorPayload).message === 'string'
+  )
+}
+
+/** Calls a plugin command and converts its rejections into {@linkcode FsError}. */
+async function invoke<T>(
+  cmd: string,
+  args?: InvokeArgs,
+  options?: InvokeOptions
+): Promise<T> {
+  try {
+    return await coreInvoke<T>(cmd, args, options)
+  } catch (err) {
+    if (isFsErrorPayload(err)) {
+      throw new FsError(err)
+    }
+    if (typeof err === 'string') {
+      throw new FsError({
+        code: 'Unknown',
+        message: err,
+        path: null,
+        syscall: null,
+        errno: null
+      })
+    }
+    throw err
+  }
+}
+
+/**
+ * Whether `err` is an {@linkcode FsError}.
+ *
+ * @since 2.1.0
+ */
+function isFsError(err: unknown): err is FsError {
+  return err instanceof FsError
+}
+
+/**
+ * Whether `err` is an {@linkcode FsError} caused by a path that does not exist.
+ *
+ * @since 2.1.0
+ */
+function isNotFound(err: unknown): err is FsError {
+  return isFsError(err) && err.code === 'NotFound'
+}
+
+/**
+ * Whether `err` is an {@linkcode FsError} caused by the operating system denying access to a path.
+ *
+ * @since 2.1.0
+ */
+function isPermissionDenied(err: unknown): err is FsError {
+  return isFsError(err) && err.code === 'PermissionDenied'
+}
+
+/**
+ * Whether `err` is an {@linkcode FsError} caused by a path that already exists.
+ *
+ * @since 2.1.0
+ */
+function isAlreadyExists(err: unknown): err is FsError {
+  return isFsError(err) && err.code === 'AlreadyExists'
+}
+
+/**
+ * Whether `err` is an {@linkcode FsError} caused by a path that is not allowed by the fs scope.
+ *
+ * @since 2.1.0
+ */
+function isScopeForbidden(err: unknown): err is FsError {
+  return isFsError(err) && err.code === 'ScopeForbidden'
+}
+
+interface Batch<T> {
+  /** Closing this resource stops the stream. */
+  rid: number
+  entries: T[]
+  done: boolean
+}
+
+/**
+ * Invokes a command that streams its results in batches over the `onBatch` channel
+ * and yields every entry as soon as its batch arrives.
+ * Stopping the iteration early stops the command too.
+ */
+async function* iterateBatches<T>(
+  cmd: string,
+  args: Record<string, unknown>
+): AsyncGenerator<T, void, undefined> {
+  const batches: T[][] = []
+  const state: { done: boolean; failure: { error: unknown } | null } = {
+    done: false,
+    failure: null
+  }
+  let wake: (() => void) | null = null
+  let rid: number | null = null
+
+  const onBatch = new Channel<Batch<T>>()
+  onBatch.onmessage = (batch) => {
+    rid = batch.rid
+    batches.push(batch.entries)
+    state.done = batch.done
+    wake?.()
+  }
+
+  invoke(cmd, { ...args, onBatch }).catch((error: unknown) => {
+    state.failure = { error }
+    wake?.()
+  })
+
+  try {
+    while (true) {
+      const batch = batches.shift()
+      if (batch) {
+        yield* batch
+      } else if (state.failure) {
+        throw state.failure.error
+      } else if (state.done) {
+        return
+      } else {
+        await new Promise<void>((resolve) => (wake = resolve))
+        wake = null
+      }
+    }
+  } finally {
+    // the consumer stopped early, e.g. with `break`
+    if (!state.done && !state.failure && rid !== null) {
+      // drop the batches that are still in flight
+      onBatch.onmessage = () => {}
+      batches.length = 0
+      // the command may have finished and released the resource in the meantime
+      await new Resource(rid).close().catch(() => {})
+    }
+  }
+}
+
+/** Default size of the chunks read by {@linkcode FileHandle.readable} and {@linkcode openReadStream}. */
+const DEFAULT_STREAM_CHUNK_SIZE = 64 * 1024
+
+function createReadableStream(
+  file: FileHandle,
+  chunkSize: number
+): ReadableStream<Uint8Array> {
+  return new ReadableStream({
+    type: 'bytes',
+    autoAllocateChunkSize: chunkSize,
+    async pull(controller) {
+      // `autoAllocateChunkSize` guarantees a BYOB request on every pull
+      const request = controller.byobRequest!
+      const view = request.view!
+      try {
+        const nread = await file.read(
+          new Uint8Array(view.buffer, view.byteOffset, view.byteLength)
+        )
+        if (nread === null) {
+          controller.close()
+          request.respond(0)
+          await file.close()
+        } else {
+          request.respond(nread)
+        }
+      } catch (e) {
+        controller.error(e)
+        await file.close()
+      }
+    },
+    async cancel() {
+      await file.close()
+    }
+  })
+}
+
+function createWritableStream(
+  file: FileHandle,
+  highWaterMark: number
+): WritableStream<Uint8Array> {
+  return new WritableStream<Uint8Array>(
+    {
+      async write(chunk) {
+        let written = 0
+        while (written < chunk.byteLength) {
+          written += await file.write(chunk.subarray(written))
+        }
+      },
+      async close() {
+        await file.close()
+      },
+      async abort() {
+        await file.close()
+      }
+    },
+    new ByteLengthQueuingStrategy({ highWaterMark })
+  )
+}
+
 /**
  *  The Tauri abstraction for reading and writing files.
  *
  * @since 2.0.0
  */
 class FileHandle extends Resource {
+  #readable?: ReadableStream<Uint8Array>
+  #writable?: WritableStream<Uint8Array>
+
   /**
    * Reads up to `p.byteLength` bytes into `p`. It resolves to the number of
    * bytes read (`0` < `n` <= `p.byteLength`) and rejects if any error
@@ -322,6 +606,45 @@ class FileHandle extends Resource {
     return nread === 0 ? null : nread
   }
 
+  /**
+   * Reads up to `buffer.byteLength` bytes into `buffer`, starting at `position` in the file.
+   * Unlike {@linkcode FileHandle.read}, this does not use or move the file cursor,
+   * so multiple reads can run concurrently on the same handle.
+   * Resolves to the number of bytes read, or `null` if `position` is at or past the end of the file.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from "@tauri-apps/plugin-fs"
+   * const file = await open("archive.bin", { baseDir: BaseDirectory.AppData });
+   * const header = new Uint8Array(64);
+   * const trailer = new Uint8Array(22);
+   * const size = (await file.stat()).size;
+   * await Promise.all([file.readAt(header, 0), file.readAt(trailer, size - 22)]);
+   * await file.close();
+   * ```
+   *
+   * @since 2.1.0
+   */
+  async readAt(buffer: Uint8Array, position: number): Promise<number | null> {
+    if (buffer.byteLength === 0) {
+      return 0
+    }
+
+    const data = await invoke<ArrayBuffer | number[]>('plugin:fs|read_at', {
+      rid: this.rid,
+      len: buffer.byteLength,
+      position
+    })
+
+    // see `read` for the layout of the response
+    const nread = fromBytes(data.slice(-8) as FixedSizeArray<number, 8>)
+
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data
+    buffer.set(bytes.slice(0, bytes.length - 8))
+
+    return nread === 0 ? null : nread
+  }
+
   /**
    * Seek sets the offset for the next `read()` or `write()` to offset,
    * interpreted according to `whence`: `Start` means relative to the
@@ -415,6 +738,160 @@ class FileHandle extends Resource {
     })
   }
 
+  /**
+   * Waits until a lock on the whole file is acquired. Locks are exclusive unless `exclusive` is `false`,
+   * shared locks can be held by several handles at once.
+   *
+   * On Linux, macOS and other Unix systems locks are advisory: they only coordinate processes and handles that lock the file as well,
+   * and don't prevent reads or writes. On Windows they are mandatory: while a file is locked, writing to it through other handles fails,
+   * and so does reading from it while the lock is exclusive, even within the same process.
+   *
+   * Locks are released by {@linkcode FileHandle.unlock}, or when the handle is closed or the webview is reloaded or destroyed.
+   * Other operations on this handle can run while it waits for the lock.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from '@tauri-apps/plugin-fs';
+   * const file = await open("state.json", { read: true, write: true, baseDir: BaseDirectory.AppData });
+   * await file.lock();
+   * await file.writeAt(new TextEncoder().encode('{}'), 0);
+   * await file.unlock();
+   * await file.close();
+   * ```
+   *
+   * @since 2.1.0
+   */
+  async lock(options?: LockOptions): Promise<void> {
+    await invoke('plugin:fs|lock', {
+      rid: this.rid,
+      exclusive: options?.exclusive ?? true
+    })
+  }
+
+  /**
+   * Like {@linkcode FileHandle.lock}, but resolves to `false` instead of waiting when a conflicting lock is held.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from '@tauri-apps/plugin-fs';
+   * const file = await open("state.json", { read: true, baseDir: BaseDirectory.AppData });
+   * if (!(await file.tryLock({ exclusive: false }))) {
+   *   console.log('state.json is being written');
+   * }
+   * ```
+   *
+   * @since 2.1.0
+   */
+  async tryLock(options?: LockOptions): Promise<boolean> {
+    return await invoke('plugin:fs|try_lock', {
+      rid: this.rid,
+      exclusive: options?.exclusive ?? true
+    })
+  }
+
+  /**
+   * Releases the lock acquired with {@linkcode FileHandle.lock} or {@linkcode FileHandle.tryLock}.
+   * Does nothing if the file is not locked.
+   *
+   * @since 2.1.0
+   */
+  async unlock(): Promise<void> {
+    await invoke('plugin:fs|unlock', { rid: this.rid })
+  }
+
+  /**
+   * Flushes the contents and metadata of the file from the operating system buffers to disk (`fsync`).
+   * Resolves once the data is durable.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from '@tauri-apps/plugin-fs';
+   * const journal = await open("journal.log", { append: true, baseDir: BaseDirectory.AppData });
+   * await journal.write(new TextEncoder().encode("commit 42\n"));
+   * await journal.sync();
+   * await journal.close();
+   * ```
+   *
+   * @since 2.1.0
+   */
+  async sync(): Promise<void> {
+    await invoke('plugin:fs|fsync', { rid: this.rid })
+  }
+
+  /**
+   * Like {@linkcode FileHandle.sync}, but only flushes the metadata needed to read the contents back,
+   * such as the file size, which can be faster (`fdatasync`).
+   *
+   * @since 2.1.0
+   */
+  async syncData(): Promise<void> {
+    await invoke('plugin:fs|fdatasync', { rid: this.rid })
+  }
+
+  /**
+   * Changes the permissions of the file. On Windows only the read-only flag is changed,
+   * it is set when `mode` has no write bits.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from '@tauri-apps/plugin-fs';
+   * const file = await open("run.sh", { read: true, baseDir: BaseDirectory.AppLocalData });
+   * await file.chmod(0o755);
+   * await file.close();
+   * ```
+   *
+   * @since 2.1.0
+   */
+  async chmod(mode: number): Promise<void> {
+    await invoke('plugin:fs|fchmod', {
+      rid: this.rid,
+      mode
+    })
+  }
+
+  /**
+   * Changes the access and modification times of the file.
+   * Numbers are milliseconds since the UNIX epoch.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from '@tauri-apps/plugin-fs';
+   * const file = await open("foo/bar.txt", { write: true, baseDir: BaseDirectory.AppLocalData });
+   * await file.utimes(new Date(), new Date('2024-01-01'));
+   * await file.close();
+   * ```
+   *
+   * @since 2.1.0
+   */
+  async utimes(atime: Date | number, mtime: Date | number): Promise<void> {
+    await invoke('plugin:fs|futimes', {
+      rid: this.rid,
+      atime: toMsec(atime),
+      mtime: toMsec(mtime)
+    })
+  }
+
+  /**
+   * Hashes the contents of the file, or the part of it selected by `range`, without moving the file cursor.
+   * Resolves to a lowercase hex string unless `encoding` is `'bytes'`.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from '@tauri-apps/plugin-fs';
+   * const file = await open("foo/bar.txt", { read: true, baseDir: BaseDirectory.AppLocalData });
+   * const digest = await file.hash({ algorithm: 'blake3' });
+   * await file.close();
+   * ```
+   *
+   * @since 2.1.0
+   */
+  async hash(options: HashOptions & { encoding: 'bytes' }): Promise<Uint8Array>
+  async hash(options?: HashOptions & { encoding?: 'hex' }): Promise<string>
+  async hash(options?: HashOptions): Promise<string | Uint8Array>
+  async hash(options?: HashOptions): Promise<string | Uint8Array> {
+    return await invokeHash('plugin:fs|hash_fd', { rid: this.rid }, options)
+  }
+
   /**
    * Writes `p.byteLength` bytes from `p` to the underlying data stream. It
    * resolves to the number of bytes written from `p` (`0` <= `n` <=
@@ -441,6 +918,73 @@ class FileHandle extends Resource {
       data
     })
   }
+
+  /**
+   * Writes `data` starting at `position` in the file and resolves to the number of bytes written.
+   * Unlike {@linkcode FileHandle.write}, this does not use or move the file cursor.
+   * On some platforms, files opened with `append` ignore `position` and always write at the end.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from '@tauri-apps/plugin-fs';
+   * const file = await open("data.bin", { read: true, write: true, baseDir: BaseDirectory.AppLocalData });
+   * await file.writeAt(new Uint8Array([0xca, 0xfe]), 16);
+   * await file.close();
+   * ```
+   *
+   * @since 2.1.0
+   */
+  async writeAt(data: Uint8Array, position: number): Promise<number> {
+    return await invoke('plugin:fs|write_at', {
+      rid: this.rid,
+      data,
+      position
+    })
+  }
+
+  /**
+   * A {@linkcode ReadableStream} over the contents of this file, starting at the current cursor position.
+   * It supports BYOB readers and reads the file in chunks of 64 KiB.
+   *
+   * The file is closed once the stream reaches the end of the file, errors or is cancelled.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from '@tauri-apps/plugin-fs';
+   * const file = await open('export.json', { read: true, baseDir: BaseDirectory.AppData });
+   * const gzipped = file.readable.pipeThrough(new CompressionStream('gzip'));
+   * ```
+   *
+   * @since 2.1.0
+   */
+  get readable(): ReadableStream<Uint8Array> {
+    if (this.#readable === undefined) {
+      this.#readable = createReadableStream(this, DEFAULT_STREAM_CHUNK_SIZE)
+    }
+    return this.#readable
+  }
+
+  /**
+   * A {@linkcode WritableStream} that writes to this file, starting at the current cursor position.
+   *
+   * The file is closed once the stream is closed or aborted.
+   *
+   * @example
+   * ```typescript
+   * import { open, BaseDirectory } from '@tauri-apps/plugin-fs';
+   * const file = await open('video.mp4', { write: true, create: true, baseDir: BaseDirectory.AppData });
+   * const response = await fetch('https://example.com/video.mp4');
+   * await response.body!.pipeTo(file.writable);
+   * ```
+   *
+   * @since 2.1.0
+   */
+  get writable(): WritableStream<Uint8Array> {
+    if (this.#writable === undefined) {
+      this.#writable = createWritableStream(this, DEFAULT_STREAM_CHUNK_SIZE)
+    }
+    return this.#writable
+  }
 }
 
 /**
@@ -567,51 +1111,823 @@ async function open(
 }
 
 /**
- * @since 2.0.0
+ * @since 2.1.0
  */
-interface CopyFileOptions {
-  /** Base directory for `fromPath`. */
-  fromPathBaseDir?: BaseDirectory
-  /** Base directory for `toPath`. */
-  toPathBaseDir?: BaseDirectory
+interface ReadStreamOptions {
+  /** Size of the chunks read from the file, in bytes. Defaults to 64 KiB. */
+  chunkSize?: number
+  /** Base directory for `path` */
+  baseDir?: BaseDirectory
 }
 
 /**
- * Copies the contents and permissions of one file to another specified path, by default creating a new file if needed, else overwriting.
+ * Opens a file for reading and returns a {@linkcode ReadableStream} over its contents.
+ * The file is closed once the stream is fully read, errors or is cancelled.
+ *
  * @example
  * ```typescript
- * import { copyFile, BaseDirectory } from '@tauri-apps/plugin-fs';
- * await copyFile('app.conf', 'app.conf.bk', { fromPathBaseDir: BaseDirectory.AppConfig, toPathBaseDir: BaseDirectory.AppConfig });
+ * import { openReadStream, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const stream = await openReadStream('logs/app.log', { baseDir: BaseDirectory.AppLog });
+ * await fetch('https://example.com/upload', { method: 'POST', body: stream, duplex: 'half' });
  * ```
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function copyFile(
-  fromPath: string | URL,
-  toPath: string | URL,
-  options?: CopyFileOptions
-): Promise<void> {
-  if (
-    (fromPath instanceof URL && fromPath.protocol !== 'file:') ||
-    (toPath instanceof URL && toPath.protocol !== 'file:')
-  ) {
-    throw new TypeError('Must be a file URL.')
+async function openReadStream(
+  path: string | URL,
+  options?: ReadStreamOptions
+): Promise<ReadableStream<Uint8Array>> {
+  const file = await open(path, { read: true, baseDir: options?.baseDir })
+  try {
+    return createReadableStream(
+      file,
+      options?.chunkSize ?? DEFAULT_STREAM_CHUNK_SIZE
+    )
+  } catch (e) {
+    // e.g. an invalid `chunkSize`, nothing else would close the file
+    await file.close()
+    throw e
   }
-
-  await invoke('plugin:fs|copy_file', {
-    fromPath: fromPath instanceof URL ? fromPath.toString() : fromPath,
-    toPath: toPath instanceof URL ? toPath.toString() : toPath,
-    options
-  })
 }
 
 /**
- * @since 2.0.0
+ * @since 2.1.0
  */
-interface MkdirOptions {
-  /** Permissions to use when creating the directory (defaults to `0o777`, before the process's umask). Ignored on Windows. */
-  mode?: number
-  /**
+interface WriteStreamOptions {
+  /** Defaults to `false`. If set to `true`, will append to a file instead of overwriting previous contents. */
+  append?: boolean
+  /** Sets the option to allow creating a new file, if one doesn't already exist at the specified path (defaults to `true`). */
+  create?: boolean
+  /** Sets the option to create a new file, failing if it already exists. */
+  createNew?: boolean
+  /** File permissions. Ignored on Windows. */
+  mode?: number
+  /** Number of bytes the stream buffers before applying backpressure. Defaults to 64 KiB. */
+  highWaterMark?: number
+  /** Base directory for `path` */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * Opens a file for writing and returns a {@linkcode WritableStream} to it,
+ * by default creating a new file if needed, else overwriting.
+ * The file is closed once the stream is closed or aborted.
+ *
+ * @example
+ * ```typescript
+ * import { openWriteStream, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const response = await fetch('https://example.com/archive.zip');
+ * await response.body!.pipeTo(await openWriteStream('archive.zip', { baseDir: BaseDirectory.AppCache }));
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function openWriteStream(
+  path: string | URL,
+  options?: WriteStreamOptions
+): Promise<WritableStream<Uint8Array>> {
+  const file = await open(path, {
+    write: true,
+    append: options?.append,
+    truncate: !options?.append,
+    create: options?.create ?? true,
+    createNew: options?.createNew,
+    mode: options?.mode,
+    baseDir: options?.baseDir
+  })
+  try {
+    return createWritableStream(
+      file,
+      options?.highWaterMark ?? DEFAULT_STREAM_CHUNK_SIZE
+    )
+  } catch (e) {
+    // e.g. an invalid `highWaterMark`, nothing else would close the file
+    await file.close()
+    throw e
+  }
+}
+
+/**
+ * @since 2.1.0
+ */
+interface MakeTempOptions {
+  /** Text the name starts with. Must not contain path separators. */
+  prefix?: string
+  /** Text the name ends with, e.g. a file extension. Must not contain path separators. */
+  suffix?: string
+  /** Directory to create the entry in, relative to `baseDir` if set. Defaults to `baseDir` or the system temp directory. */
+  dir?: string | URL
+  /** Base directory for `dir`. */
+  baseDir?: BaseDirectory
+  /**
+   * Delete the entry when it is closed or disposed, or when the webview is reloaded or destroyed.
+   * Defaults to `true`.
+   */
+  autoDelete?: boolean
+}
+
+/**
+ * A temporary file created by {@linkcode makeTempFile}.
+ *
+ * @since 2.1.0
+ */
+class TempFile extends FileHandle {
+  /** The absolute path of the file. */
+  readonly path: string
+
+  constructor(rid: number, path: string) {
+    super(rid)
+    this.path = path
+  }
+
+  /** Closes the file, which also deletes it unless `autoDelete` was disabled. */
+  async [asyncDispose](): Promise<void> {
+    await this.close()
+  }
+}
+
+/**
+ * A temporary directory created by {@linkcode makeTempDir}.
+ *
+ * @since 2.1.0
+ */
+class TempDir extends Resource {
+  /** The absolute path of the directory. */
+  readonly path: string
+
+  constructor(rid: number, path: string) {
+    super(rid)
+    this.path = path
+  }
+
+  /** Releases the directory, which also deletes it with all its contents unless `autoDelete` was disabled. */
+  async [asyncDispose](): Promise<void> {
+    await this.close()
+  }
+}
+
+function tempArgs(options?: MakeTempOptions): InvokeArgs {
+  if (options?.dir instanceof URL && options.dir.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  return {
+    options: options && {
+      ...options,
+      dir: options.dir instanceof URL ? options.dir.toString() : options.dir
+    }
+  }
+}
+
+/**
+ * Creates a new temporary file with a unique, random name and opens it for reading and writing.
+ * On Unix, the file is only accessible by the current user.
+ * @example
+ * ```typescript
+ * import { makeTempFile } from '@tauri-apps/plugin-fs';
+ * await using file = await makeTempFile({ prefix: 'upload-', suffix: '.bin' });
+ * await file.write(new Uint8Array([1, 2, 3]));
+ * console.log(file.path);
+ * // the file is deleted when `file` goes out of scope
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function makeTempFile(options?: MakeTempOptions): Promise<TempFile> {
+  const { rid, path } = await invoke<{ rid: number; path: string }>(
+    'plugin:fs|make_temp_file',
+    tempArgs(options)
+  )
+
+  return new TempFile(rid, path)
+}
+
+/**
+ * Creates a new temporary directory with a unique, random name.
+ * On Unix, the directory is only accessible by the current user.
+ * @example
+ * ```typescript
+ * import { makeTempDir, writeTextFile } from '@tauri-apps/plugin-fs';
+ * const dir = await makeTempDir({ prefix: 'build-' });
+ * await writeTextFile(`${dir.path}/notes.txt`, 'scratch');
+ * await dir.close(); // deletes the directory and its contents
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function makeTempDir(options?: MakeTempOptions): Promise<TempDir> {
+  const { rid, path } = await invoke<{ rid: number; path: string }>(
+    'plugin:fs|make_temp_dir',
+    tempArgs(options)
+  )
+
+  return new TempDir(rid, path)
+}
+
+/**
+ * @since 2.1.0
+ */
+interface LockOptions {
+  /** Whether to acquire an exclusive lock instead of a shared one. Defaults to `true`. */
+  exclusive?: boolean
+}
+
+/**
+ * @since 2.1.0
+ */
+interface LockFileOptions extends LockOptions {
+  /** Base directory for `path`. */
+  baseDir?: BaseDirectory
+  /** Create the file if it doesn't exist, which opens it for writing. Defaults to `true`. */
+  create?: boolean
+}
+
+/**
+ * A lock acquired with {@linkcode lockFile}.
+ *
+ * @since 2.1.0
+ */
+class FileLock {
+  /** The locked file. */
+  readonly file: FileHandle
+
+  constructor(file: FileHandle) {
+    this.file = file
+  }
+
+  /** Releases the lock and closes the file. */
+  async release(): Promise<void> {
+    await this.file.close()
+  }
+
+  /** Releases the lock and closes the file. */
+  async [asyncDispose](): Promise<void> {
+    await this.release()
+  }
+}
+
+/**
+ * Opens `path` and waits until a lock on it is acquired, see {@linkcode FileHandle.lock}.
+ * @example
+ * ```typescript
+ * import { lockFile, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await using lock = await lockFile('state.lock', { baseDir: BaseDirectory.AppData });
+ * // the lock is released when `lock` goes out of scope
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function lockFile(
+  path: string | URL,
+  options?: LockFileOptions
+): Promise<FileLock> {
+  const create = options?.create ?? true
+  const file = await open(path, {
+    read: true,
+    write: create,
+    create,
+    baseDir: options?.baseDir
+  })
+
+  try {
+    await file.lock(options)
+  } catch (e) {
+    await file.close()
+    throw e
+  }
+
+  return new FileLock(file)
+}
+
+/**
+ * @since 2.0.0
+ */
+interface CopyFileOptions {
+  /** Base directory for `fromPath`. */
+  fromPathBaseDir?: BaseDirectory
+  /** Base directory for `toPath`. */
+  toPathBaseDir?: BaseDirectory
+}
+
+/**
+ * Copies the contents and permissions of one file to another specified path, by default creating a new file if needed, else overwriting.
+ * @example
+ * ```typescript
+ * import { copyFile, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await copyFile('app.conf', 'app.conf.bk', { fromPathBaseDir: BaseDirectory.AppConfig, toPathBaseDir: BaseDirectory.AppConfig });
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function copyFile(
+  fromPath: string | URL,
+  toPath: string | URL,
+  options?: CopyFileOptions
+): Promise<void> {
+  if (
+    (fromPath instanceof URL && fromPath.protocol !== 'file:') ||
+    (toPath instanceof URL && toPath.protocol !== 'file:')
+  ) {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  await invoke('plugin:fs|copy_file', {
+    fromPath: fromPath instanceof URL ? fromPath.toString() : fromPath,
+    toPath: toPath instanceof URL ? toPath.toString() : toPath,
+    options
+  })
+}
+
+/**
+ * @since 2.1.0
+ */
+interface CopyDirProgress {
+  /** Bytes copied so far. */
+  bytesCopied: number
+  /** Total bytes that will be copied. */
+  totalBytes: number
+  /** Files and symlinks copied so far. */
+  filesCopied: number
+  /** Total files and symlinks that will be copied. */
+  totalFiles: number
+  /** The destination path of the entry that was just copied. */
+  currentPath: string
+}
+
+/**
+ * @since 2.1.0
+ */
+interface CopyDirOptions {
+  /** Base directory for `fromPath`. */
+  fromPathBaseDir?: BaseDirectory
+  /** Base directory for `toPath`. */
+  toPathBaseDir?: BaseDirectory
+  /** Overwrite existing files in the destination. Defaults to `false`, which fails with an `AlreadyExists` error instead. */
+  overwrite?: boolean
+  /**
+   * Glob patterns selecting what to copy. Patterns containing a `/` are matched against the path relative to `fromPath`,
+   * other patterns against the entry name. `skip` excludes files and whole directories, `match` only applies to files.
+   */
+  filter?: { match?: string[]; skip?: string[] }
+  /** Copy the access and modification times of files. Defaults to `false`. */
+  preserveTimestamps?: boolean
+  /** Copy the targets of symlinks instead of recreating the links. Defaults to `false`. */
+  dereference?: boolean
+  /** Called after every copied file or symlink. */
+  onProgress?: (progress: CopyDirProgress) => void
+  /** Cancels the copy. Files copied so far are left in place. */
+  signal?: AbortSignal
+}
+
+type CopyDirEvent =
+  | {
+      event: 'Started'
+      data: { rid: number; totalBytes: number; totalFiles: number }
+    }
+  | { event: 'Progress'; data: CopyDirProgress }
+
+/**
+ * Recursively copies a directory, creating `toPath` if needed.
+ * @example
+ * ```typescript
+ * import { copyDir, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const controller = new AbortController();
+ * await copyDir('projects', 'backup', {
+ *   fromPathBaseDir: BaseDirectory.AppData,
+ *   toPathBaseDir: BaseDirectory.AppData,
+ *   filter: { skip: ['node_modules'] },
+ *   onProgress: ({ bytesCopied, totalBytes }) => console.log(`${bytesCopied}/${totalBytes}`),
+ *   signal: controller.signal
+ * });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function copyDir(
+  fromPath: string | URL,
+  toPath: string | URL,
+  options?: CopyDirOptions
+): Promise<void> {
+  if (
+    (fromPath instanceof URL && fromPath.protocol !== 'file:') ||
+    (toPath instanceof URL && toPath.protocol !== 'file:')
+  ) {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  const { onProgress, signal, ...rest } = options ?? {}
+  signal?.throwIfAborted()
+
+  let resource: Resource | null = null
+  const onAbort = () => {
+    // the copy may have finished and released the resource in the meantime
+    void resource?.close().catch(() => {})
+  }
+  signal?.addEventListener('abort', onAbort)
+
+  const onEvent = new Channel<CopyDirEvent>()
+  onEvent.onmessage = (message) => {
+    if (message.event === 'Started') {
+      resource = new Resource(message.data.rid)
+      if (signal?.aborted) {
+        onAbort()
+      }
+    } else {
+      onProgress?.(message.data)
+    }
+  }
+
+  try {
+    await invoke('plugin:fs|copy_dir', {
+      fromPath: fromPath instanceof URL ? fromPath.toString() : fromPath,
+      toPath: toPath instanceof URL ? toPath.toString() : toPath,
+      options: rest,
+      onProgress: onEvent
+    })
+  } catch (e) {
+    if (signal?.aborted && isFsError(e) && e.code === 'Cancelled') {
+      throw signal.reason
+    }
+    throw e
+  } finally {
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * How {@linkcode diffDirs} and {@linkcode syncDir} decide whether two files differ.
+ * - `mtime`: the size or the modification time differ.
+ * - `size`: the size differs.
+ * - `hash`: the size or the contents differ. This reads both files.
+ *
+ * @since 2.1.0
+ */
+type DiffCompare = 'mtime' | 'size' | 'hash'
+
+/**
+ * @since 2.1.0
+ */
+interface DiffDirsOptions {
+  /** Base directory for `fromPath`. */
+  fromPathBaseDir?: BaseDirectory
+  /** Base directory for `toPath`. */
+  toPathBaseDir?: BaseDirectory
+  /** How files are compared. Defaults to `mtime`. */
+  compare?: DiffCompare
+  /**
+   * Glob patterns of entries to leave out on both sides. Patterns containing a `/` are matched against the relative path,
+   * other patterns against the entry name. Ignoring a directory ignores its contents.
+   */
+  ignore?: string[]
+}
+
+/**
+ * @since 2.1.0
+ */
+interface DiffEntry {
+  /** The path relative to the compared directories. */
+  path: string
+  isDirectory: boolean
+  isFile: boolean
+  isSymlink: boolean
+}
+
+/**
+ * The result of {@linkcode diffDirs}. Entries are sorted so that directories come before their contents.
+ *
+ * @since 2.1.0
+ */
+interface DirDiff {
+  /** Entries that only exist in `toPath`. */
+  added: DiffEntry[]
+  /** Entries that only exist in `fromPath`. */
+  removed: DiffEntry[]
+  /** Entries that exist in both directories but differ, described as they are in `toPath`. */
+  changed: DiffEntry[]
+}
+
+/**
+ * Compares two directory trees. Symlinks are compared by their target and not followed.
+ * Entries that are not allowed by the scope are left out.
+ * @example
+ * ```typescript
+ * import { diffDirs, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const { added, removed, changed } = await diffDirs('backup', 'projects', {
+ *   fromPathBaseDir: BaseDirectory.AppData,
+ *   toPathBaseDir: BaseDirectory.AppData,
+ *   ignore: ['node_modules', '.git']
+ * });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function diffDirs(
+  fromPath: string | URL,
+  toPath: string | URL,
+  options?: DiffDirsOptions
+): Promise<DirDiff> {
+  if (
+    (fromPath instanceof URL && fromPath.protocol !== 'file:') ||
+    (toPath instanceof URL && toPath.protocol !== 'file:')
+  ) {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  return await invoke('plugin:fs|diff_dirs', {
+    fromPath: fromPath instanceof URL ? fromPath.toString() : fromPath,
+    toPath: toPath instanceof URL ? toPath.toString() : toPath,
+    options
+  })
+}
+
+/**
+ * A change made to the destination by {@linkcode syncDir}.
+ *
+ * @since 2.1.0
+ */
+interface SyncAction {
+  /** `remove` deletes files and whole directories. */
+  action: 'mkdir' | 'copy' | 'symlink' | 'remove'
+  /** The path relative to the synced directories. */
+  path: string
+}
+
+/**
+ * @since 2.1.0
+ */
+interface SyncDirProgress extends SyncAction {
+  /** Actions applied so far, including this one. */
+  actionsDone: number
+  /** Total actions that will be applied. */
+  totalActions: number
+}
+
+/**
+ * @since 2.1.0
+ */
+interface SyncDirOptions extends DiffDirsOptions {
+  /** Remove entries that don't exist in `fromPath` from `toPath`. Ignored entries are kept. Defaults to `false`. */
+  delete?: boolean
+  /** Only report the actions instead of applying them. Defaults to `false`. */
+  dryRun?: boolean
+  /** Called after every action. */
+  onProgress?: (progress: SyncDirProgress) => void
+}
+
+/**
+ * Makes `toPath` mirror `fromPath`, creating it if needed. Added and changed files are copied with their modification times,
+ * entries that changed type are replaced, and entries only in `toPath` are removed when `delete` is set.
+ * Resolves to the list of applied actions, in order.
+ * @example
+ * ```typescript
+ * import { syncDir, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const actions = await syncDir('projects', 'backup', {
+ *   fromPathBaseDir: BaseDirectory.AppData,
+ *   toPathBaseDir: BaseDirectory.AppData,
+ *   delete: true,
+ *   dryRun: true
+ * });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function syncDir(
+  fromPath: string | URL,
+  toPath: string | URL,
+  options?: SyncDirOptions
+): Promise<SyncAction[]> {
+  if (
+    (fromPath instanceof URL && fromPath.protocol !== 'file:') ||
+    (toPath instanceof URL && toPath.protocol !== 'file:')
+  ) {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  const { onProgress, ...rest } = options ?? {}
+
+  let onProgressChannel: Channel<SyncDirProgress> | undefined
+  if (onProgress) {
+    onProgressChannel = new Channel<SyncDirProgress>()
+    onProgressChannel.onmessage = onProgress
+  }
+
+  return await invoke('plugin:fs|sync_dir', {
+    fromPath: fromPath instanceof URL ? fromPath.toString() : fromPath,
+    toPath: toPath instanceof URL ? toPath.toString() : toPath,
+    options: rest,
+    onProgress: onProgressChannel
+  })
+}
+
+/**
+ * @since 2.1.0
+ */
+type ArchiveFormat = 'zip' | 'tar' | 'tar.gz'
+
+/**
+ * @since 2.1.0
+ */
+interface ArchiveProgress {
+  /** Entries processed so far. */
+  entriesDone: number
+  /** Total entries, only known when creating an archive. */
+  totalEntries: number | null
+  /** File bytes processed so far. */
+  bytesDone: number
+  /** Total file bytes, only known when creating an archive. */
+  totalBytes: number | null
+  /** The path of the entry in the archive that was just processed. */
+  currentPath: string
+}
+
+/**
+ * @since 2.1.0
+ */
+interface CreateArchiveOptions {
+  /** Base directory for `paths`. */
+  baseDir?: BaseDirectory
+  /** Base directory for `dest`. */
+  destBaseDir?: BaseDirectory
+  /** The archive format. Defaults to the format matching the extension of `dest`, or `zip`. */
+  format?: ArchiveFormat
+  /** Compression level from `0` to `9`, ignored for `tar`. */
+  compressionLevel?: number
+  /** Called after every added entry. */
+  onProgress?: (progress: ArchiveProgress) => void
+}
+
+/**
+ * Creates an archive containing `paths`. Each path is stored under its file name, directories with all their contents.
+ * Symlinks are stored as symlinks and entries that are not allowed by the scope are left out.
+ * Requires the `archive` feature of the Rust crate.
+ * @example
+ * ```typescript
+ * import { createArchive, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await createArchive(['project', 'settings.json'], 'export.zip', {
+ *   baseDir: BaseDirectory.AppData,
+ *   destBaseDir: BaseDirectory.Download,
+ *   onProgress: ({ bytesDone, totalBytes }) => console.log(`${bytesDone}/${totalBytes}`)
+ * });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function createArchive(
+  paths: Array<string | URL>,
+  dest: string | URL,
+  options?: CreateArchiveOptions
+): Promise<void> {
+  if (
+    paths.some((path) => path instanceof URL && path.protocol !== 'file:') ||
+    (dest instanceof URL && dest.protocol !== 'file:')
+  ) {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  const { onProgress, ...rest } = options ?? {}
+
+  let onProgressChannel: Channel<ArchiveProgress> | undefined
+  if (onProgress) {
+    onProgressChannel = new Channel<ArchiveProgress>()
+    onProgressChannel.onmessage = onProgress
+  }
+
+  await invoke('plugin:fs|create_archive', {
+    paths: paths.map((path) => (path instanceof URL ? path.toString() : path)),
+    dest: dest instanceof URL ? dest.toString() : dest,
+    options: rest,
+    onProgress: onProgressChannel
+  })
+}
+
+/**
+ * @since 2.1.0
+ */
+interface ArchiveEntry {
+  /** The path of the entry as stored in the archive. */
+  path: string
+  /** The uncompressed size in bytes. */
+  size: number
+  isDirectory: boolean
+  isFile: boolean
+  isSymlink: boolean
+  /** The modification time in milliseconds since the UNIX epoch, if stored. */
+  mtime: number | null
+  /** The unix permission bits, if stored. */
+  mode: number | null
+  /** The target of a symlink entry. */
+  linkTarget: string | null
+}
+
+/**
+ * @since 2.1.0
+ */
+interface ListArchiveOptions {
+  /** Base directory for `path`. */
+  baseDir?: BaseDirectory
+  /** The archive format. Detected from the contents of the archive by default. */
+  format?: ArchiveFormat
+}
+
+/**
+ * Lists the entries of an archive without extracting it. Requires the `archive` feature of the Rust crate.
+ * @example
+ * ```typescript
+ * import { listArchive, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const entries = await listArchive('plugins.tar.gz', { baseDir: BaseDirectory.Download });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function listArchive(
+  path: string | URL,
+  options?: ListArchiveOptions
+): Promise<ArchiveEntry[]> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  return await invoke('plugin:fs|list_archive', {
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+}
+
+/**
+ * @since 2.1.0
+ */
+interface ExtractArchiveOptions {
+  /** Base directory for `path`. */
+  baseDir?: BaseDirectory
+  /** Base directory for `destDir`. */
+  destBaseDir?: BaseDirectory
+  /** The archive format. Detected from the contents of the archive by default. */
+  format?: ArchiveFormat
+  /**
+   * Glob patterns selecting what to extract. Patterns containing a `/` are matched against the entry path,
+   * other patterns against the entry name. `skip` excludes files and whole directories, `match` only applies to files.
+   */
+  filter?: { match?: string[]; skip?: string[] }
+  /** Overwrite existing files. Defaults to `false`, which fails with an `AlreadyExists` error instead. */
+  overwrite?: boolean
+  /** Called after every extracted entry. */
+  onProgress?: (progress: ArchiveProgress) => void
+}
+
+/**
+ * Extracts an archive into `destDir`, creating it if needed.
+ *
+ * Entries with `..` or absolute paths, entries that would be written through a symlink to outside of `destDir`
+ * and symlinks pointing outside of it are rejected with an `InvalidPath` error, entries outside of the scope with a `ScopeForbidden` error.
+ * Symlink targets may only use `..` at their start. Hard links and special files are skipped.
+ * Requires the `archive` feature of the Rust crate.
+ * @example
+ * ```typescript
+ * import { extractArchive, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await extractArchive('plugin-pack.zip', 'plugins', {
+ *   baseDir: BaseDirectory.Download,
+ *   destBaseDir: BaseDirectory.AppData,
+ *   filter: { skip: ['__MACOSX'] }
+ * });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function extractArchive(
+  path: string | URL,
+  destDir: string | URL,
+  options?: ExtractArchiveOptions
+): Promise<void> {
+  if (
+    (path instanceof URL && path.protocol !== 'file:') ||
+    (destDir instanceof URL && destDir.protocol !== 'file:')
+  ) {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  const { onProgress, ...rest } = options ?? {}
+
+  let onProgressChannel: Channel<ArchiveProgress> | undefined
+  if (onProgress) {
+    onProgressChannel = new Channel<ArchiveProgress>()
+    onProgressChannel.onmessage = onProgress
+  }
+
+  await invoke('plugin:fs|extract_archive', {
+    path: path instanceof URL ? path.toString() : path,
+    dest: destDir instanceof URL ? destDir.toString() : destDir,
+    options: rest,
+    onProgress: onProgressChannel
+  })
+}
+
+/**
+ * @since 2.0.0
+ */
+interface MkdirOptions {
+  /** Permissions to use when creating the directory (defaults to `0o777`, before the process's umask). Ignored on Windows. */
+  mode?: number
+  /**
    * Defaults to `false`. If set to `true`, means that any intermediate directories will also be created (as with the shell command `mkdir -p`).
    * */
   recursive?: boolean
@@ -620,24 +1936,816 @@ interface MkdirOptions {
 }
 
 /**
- * Creates a new directory with the specified path.
+ * Creates a new directory with the specified path.
+ * @example
+ * ```typescript
+ * import { mkdir, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await mkdir('users', { baseDir: BaseDirectory.AppLocalData });
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function mkdir(
+  path: string | URL,
+  options?: MkdirOptions
+): Promise<void> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  await invoke('plugin:fs|mkdir', {
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+}
+
+/**
+ * @since 2.0.0
+ */
+interface ReadDirOptions {
+  /** Base directory for `path` */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * A disk entry which is either a file, a directory or a symlink.
+ *
+ * This is the result of the {@linkcode readDir}.
+ *
+ * @since 2.0.0
+ */
+interface DirEntry {
+  /** The name of the entry (file name with extension or directory name). */
+  name: string
+  /** Specifies whether this entry is a directory or not. */
+  isDirectory: boolean
+  /** Specifies whether this entry is a file or not. */
+  isFile: boolean
+  /** Specifies whether this entry is a symlink or not. */
+  isSymlink: boolean
+}
+
+/**
+ * Reads the directory given by path and returns an array of `DirEntry`.
+ * @example
+ * ```typescript
+ * import { readDir, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * import { join } from '@tauri-apps/api/path';
+ * const dir = "users"
+ * const entries = await readDir('users', { baseDir: BaseDirectory.AppLocalData });
+ * processEntriesRecursively(dir, entries);
+ * async function processEntriesRecursively(parent, entries) {
+ *   for (const entry of entries) {
+ *     console.log(`Entry: ${entry.name}`);
+ *     if (entry.isDirectory) {
+ *        const dir = await join(parent, entry.name);
+ *       processEntriesRecursively(dir, await readDir(dir, { baseDir: BaseDirectory.AppLocalData }))
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function readDir(
+  path: string | URL,
+  options?: ReadDirOptions
+): Promise<DirEntry[]> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  return await invoke('plugin:fs|read_dir', {
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+}
+
+/**
+ * @since 2.1.0
+ */
+interface WalkDirOptions {
+  /**
+   * Maximum depth to descend to. Entries directly inside `path` have a depth of `1`.
+   * Defaults to no limit.
+   */
+  maxDepth?: number
+  /** Whether directories are yielded. Defaults to `true`. */
+  includeDirs?: boolean
+  /** Whether files and other non-directory entries are yielded. Defaults to `true`. */
+  includeFiles?: boolean
+  /** Whether symlinks to directories are descended into. Defaults to `false`. */
+  followSymlinks?: boolean
+  /**
+   * Only yield entries matching one of these glob patterns.
+   * Patterns without a `/` are matched against the entry name, the others against its relative path.
+   */
+  match?: string[]
+  /**
+   * Skip entries matching one of these glob patterns, without descending into them.
+   * Patterns without a `/` are matched against the entry name, the others against its relative path.
+   */
+  skip?: string[]
+  /** Whether to include a {@linkcode FileInfo} for every entry. Defaults to `false`. */
+  withStat?: boolean
+  /** Number of entries sent from Rust in a single message. Defaults to `256`. */
+  batchSize?: number
+  /** Base directory for `path` */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * An entry yielded by {@linkcode walkDir}.
+ *
+ * @since 2.1.0
+ */
+interface WalkEntry {
+  /** The name of the entry (file name with extension or directory name). */
+  name: string
+  /** The absolute path of the entry. */
+  path: string
+  /** The path of the entry relative to the walked directory. */
+  relativePath: string
+  /** The depth of the entry, `1` for entries directly inside the walked directory. */
+  depth: number
+  /** Specifies whether this entry is a directory or not. */
+  isDirectory: boolean
+  /** Specifies whether this entry is a file or not. */
+  isFile: boolean
+  /** Specifies whether this entry is a symlink or not. */
+  isSymlink: boolean
+  /** The entry's {@linkcode FileInfo}, only set when `withStat` is enabled. */
+  stat: FileInfo | null
+}
+
+interface UnparsedWalkEntry extends Omit<WalkEntry, 'stat'> {
+  stat: UnparsedFileInfo | null
+}
+
+/**
+ * Recursively walks the directory given by path, yielding every entry below it.
+ * Entries are streamed from Rust in batches while the walk is in progress.
+ * Entries outside of the fs scope are skipped.
+ *
+ * @example
+ * ```typescript
+ * import { walkDir, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * for await (const entry of walkDir('projects', { baseDir: BaseDirectory.AppData, match: ['*.json'], skip: ['node_modules', '.git'] })) {
+ *   console.log(entry.relativePath);
+ * }
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function* walkDir(
+  path: string | URL,
+  options?: WalkDirOptions
+): AsyncIterableIterator<WalkEntry> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  const entries = iterateBatches<UnparsedWalkEntry>('plugin:fs|walk_dir', {
+    path: path instanceof URL ? path.toString() : path,
+    options: options ?? {}
+  })
+
+  for await (const entry of entries) {
+    yield {
+      ...entry,
+      stat: entry.stat !== null ? parseFileInfo(entry.stat) : null
+    }
+  }
+}
+
+/**
+ * @since 2.1.0
+ */
+interface GlobOptions {
+  /**
+   * Whether wildcards match path components that start with a `.`.
+   * Defaults to the inverse of the `requireLiteralLeadingDot` plugin configuration,
+   * so dotfiles are matched the same way the fs scope matches them.
+   */
+  dot?: boolean
+  /** Whether matching is case sensitive. Defaults to `true`. */
+  caseSensitive?: boolean
+  /** Maximum number of paths to return. */
+  limit?: number
+  /** Number of paths sent from Rust in a single message when streaming. Defaults to `256`. */
+  batchSize?: number
+  /** Base directory the pattern is relative to. */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * Returns the paths matching the given glob pattern.
+ * Paths outside of the fs scope are left out of the result.
+ *
+ * @example
+ * ```typescript
+ * import { glob, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const logs = await glob('logs/*.json', { baseDir: BaseDirectory.AppLog });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function glob(pattern: string, options?: GlobOptions): Promise<string[]> {
+  return await invoke('plugin:fs|glob', { pattern, options })
+}
+
+/**
+ * Like {@linkcode glob}, but streams the matching paths while the file system is searched,
+ * which is preferable for large trees.
+ *
+ * @example
+ * ```typescript
+ * import { globStream, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * for await (const path of globStream('screenshots/*.png', { baseDir: BaseDirectory.Picture })) {
+ *   console.log(path);
+ * }
+ * ```
+ *
+ * @since 2.1.0
+ */
+function globStream(
+  pattern: string,
+  options?: GlobOptions
+): AsyncIterableIterator<string> {
+  return iterateBatches<string>('plugin:fs|glob', { pattern, options })
+}
+
+/**
+ * @since 2.0.0
+ */
+interface ReadFileOptions {
+  /** Base directory for `path` */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * A compression format of the `compression` options of {@linkcode readFile}, {@linkcode writeFile} and {@linkcode writeTextFile}.
+ * These options require the `compression` feature of the Rust crate and fail with an `Unsupported` error without it.
+ *
+ * @since 2.1.0
+ */
+type CompressionFormat = 'gzip' | 'zstd' | 'brotli'
+
+/**
+ * @since 2.1.0
+ */
+interface ReadFileRangeOptions extends ReadFileOptions {
+  /** Byte offset to start reading at. Defaults to `0`. */
+  offset?: number
+  /** Maximum number of bytes to read. Defaults to reading until the end of the file. */
+  length?: number
+  /**
+   * Decompress the file while reading it. `offset` and `length` then refer to the decompressed contents.
+   * Concatenated gzip members and zstd frames, as written with `append`, are read as one.
+   */
+  compression?: CompressionFormat
+}
+
+/**
+ * Reads and resolves to the entire contents of a file as an array of bytes.
+ * TextDecoder can be used to transform the bytes to string if required.
+ * Pass `offset` and `length` to only read a part of the file.
+ * @example
+ * ```typescript
+ * import { readFile, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const contents = await readFile('avatar.png', { baseDir: BaseDirectory.Resource });
+ * const header = await readFile('archive.bin', { offset: 0, length: 64, baseDir: BaseDirectory.AppData });
+ * const cached = await readFile('cache/index.bin.zst', { compression: 'zstd', baseDir: BaseDirectory.AppCache });
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function readFile(
+  path: string | URL,
+  options?: ReadFileRangeOptions
+): Promise<Uint8Array> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  const arr = await invoke<ArrayBuffer | number[]>('plugin:fs|read_file', {
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+
+  return arr instanceof ArrayBuffer ? new Uint8Array(arr) : Uint8Array.from(arr)
+}
+
+/**
+ * `blake3` requires the `blake3` feature of the Rust crate and fails with an `Unsupported` error without it.
+ *
+ * @since 2.1.0
+ */
+type HashAlgorithm =
+  'sha256' | 'sha1' | 'sha512' | 'blake3' | 'md5' | 'crc32' | 'xxh3'
+
+/**
+ * @since 2.1.0
+ */
+interface HashProgress {
+  /** Bytes hashed so far. */
+  bytesHashed: number
+  /** Total bytes that will be hashed. */
+  totalBytes: number
+}
+
+/**
+ * @since 2.1.0
+ */
+interface HashOptions {
+  /** The hash algorithm. Defaults to `sha256`. */
+  algorithm?: HashAlgorithm
+  /** Only hash `length` bytes starting at `offset`. Defaults to the whole file. */
+  range?: { offset?: number; length?: number }
+  /** Resolve to a lowercase hex string or to the raw digest bytes. Defaults to `hex`. */
+  encoding?: 'hex' | 'bytes'
+  /** Called about every 4 MiB and once hashing is done. */
+  onProgress?: (progress: HashProgress) => void
+}
+
+/**
+ * @since 2.1.0
+ */
+interface HashFileOptions extends HashOptions {
+  /** Base directory for `path` */
+  baseDir?: BaseDirectory
+}
+
+async function invokeHash(
+  cmd: string,
+  args: Record<string, unknown>,
+  options?: HashOptions
+): Promise<string | Uint8Array> {
+  const { encoding, onProgress, ...rest } = options ?? {}
+
+  let onProgressChannel: Channel<HashProgress> | undefined
+  if (onProgress) {
+    onProgressChannel = new Channel<HashProgress>()
+    onProgressChannel.onmessage = onProgress
+  }
+
+  const arr = await invoke<ArrayBuffer | number[]>(cmd, {
+    ...args,
+    options: rest,
+    onProgress: onProgressChannel
+  })
+
+  const digest =
+    arr instanceof ArrayBuffer ? new Uint8Array(arr) : Uint8Array.from(arr)
+  return encoding === 'bytes'
+    ? digest
+    : Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Hashes the contents of a file, or the part of it selected by `range`.
+ * The file is streamed through the hasher on the Rust side, so it is never loaded into memory as a whole.
+ * Resolves to a lowercase hex string unless `encoding` is `'bytes'`.
+ *
+ * `crc32` and `xxh3` digests are their big-endian bytes.
+ * @example
+ * ```typescript
+ * import { hashFile, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const sha256 = await hashFile('installer.exe', { baseDir: BaseDirectory.Download });
+ * const xxh3 = await hashFile('video.mp4', {
+ *   algorithm: 'xxh3',
+ *   baseDir: BaseDirectory.Video,
+ *   onProgress: ({ bytesHashed, totalBytes }) => console.log(`${bytesHashed}/${totalBytes}`)
+ * });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function hashFile(
+  path: string | URL,
+  options: HashFileOptions & { encoding: 'bytes' }
+): Promise<Uint8Array>
+async function hashFile(
+  path: string | URL,
+  options?: HashFileOptions & { encoding?: 'hex' }
+): Promise<string>
+async function hashFile(
+  path: string | URL,
+  options?: HashFileOptions
+): Promise<string | Uint8Array>
+async function hashFile(
+  path: string | URL,
+  options?: HashFileOptions
+): Promise<string | Uint8Array> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  return await invokeHash(
+    'plugin:fs|hash_file',
+    { path: path instanceof URL ? path.toString() : path },
+    options
+  )
+}
+
+/**
+ * A WHATWG encoding label, see https://encoding.spec.whatwg.org/#names-and-labels.
+ * Note that per the standard, `latin1` and `iso-8859-1` are treated as `windows-1252`.
+ *
+ * @since 2.1.0
+ */
+type TextEncodingLabel =
+  | 'utf-8'
+  | 'utf-16le'
+  | 'utf-16be'
+  | 'latin1'
+  | 'windows-1252'
+  | 'shift_jis'
+  | 'euc-jp'
+  | 'euc-kr'
+  | 'gbk'
+  | 'gb18030'
+  | 'big5'
+  | (string & {})
+
+/**
+ * @since 2.1.0
+ */
+interface ReadTextFileOptions extends ReadFileOptions {
+  /**
+   * The encoding of the file, defaults to UTF-8.
+   * `auto` detects UTF-8 and UTF-16 byte order marks and falls back to UTF-8.
+   * When set, byte order marks are removed and malformed input is replaced with U+FFFD instead of failing.
+   */
+  encoding?: TextEncodingLabel | 'auto'
+}
+
+/**
+ * Reads and returns the entire contents of a file as string, decoded as UTF-8 unless `encoding` is set.
+ * @example
+ * ```typescript
+ * import { readTextFile, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const contents = await readTextFile('app.conf', { baseDir: BaseDirectory.AppConfig });
+ * const subtitles = await readTextFile('movie.srt', { encoding: 'auto', baseDir: BaseDirectory.Download });
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function readTextFile(
+  path: string | URL,
+  options?: ReadTextFileOptions
+): Promise<string> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  return await invoke<string>('plugin:fs|read_text_file', {
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+}
+
+/**
+ * @since 2.1.0
+ */
+interface ReadTextFileLinesOptions extends ReadTextFileOptions {
+  /** Number of lines fetched from the Rust side at once. Defaults to `256`. */
+  batchSize?: number
+  /** Yield {@linkcode TextLine} objects with the position of each line instead of strings. Defaults to `false`. */
+  withPosition?: boolean
+}
+
+/**
+ * A line yielded by {@linkcode readTextFileLines} when `withPosition` is set.
+ *
+ * @since 2.1.0
+ */
+interface TextLine {
+  /** The line, without its line ending. */
+  line: string
+  /** 1-based line number. */
+  lineNumber: number
+  /** Byte offset of the start of the line in the file, or in the UTF-8 decoded text when `encoding` is set. */
+  offset: number
+}
+
+/**
+ * Returns an async {@linkcode AsyncIterableIterator} over the lines of a file as string, decoded as UTF-8 unless `encoding` is set.
+ * Lines can end with `\n`, `\r\n` or `\r`.
+ *
+ * Invalid UTF-8 sequences are replaced with `U+FFFD`, set `encoding` to read files that are not UTF-8.
+ *
+ * Before 2.1.0 a lone `\r` did not end a line, and lines that were not valid UTF-8 were yielded as `null`.
+ * @example
+ * ```typescript
+ * import { readTextFileLines, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const lines = await readTextFileLines('app.conf', { baseDir: BaseDirectory.AppConfig });
+ * for await (const line of lines) {
+ *   console.log(line);
+ * }
+ *
+ * const entries = await readTextFileLines('app.log', { withPosition: true, batchSize: 1024, baseDir: BaseDirectory.AppLog });
+ * for await (const { line, lineNumber, offset } of entries) {
+ *   if (line.includes('ERROR')) {
+ *     console.log(`${lineNumber} (byte ${offset}): ${line}`);
+ *     break; // closes the file
+ *   }
+ * }
+ * ```
+ * You could also call {@linkcode AsyncIterableIterator.next} to advance the
+ * iterator so you can lazily read the next line whenever you want,
+ * and {@linkcode AsyncIterableIterator.return} to close the file early.
+ *
+ * @since 2.0.0
+ */
+async function readTextFileLines(
+  path: string | URL,
+  options: ReadTextFileLinesOptions & { withPosition: true }
+): Promise<AsyncIterableIterator<TextLine>>
+async function readTextFileLines(
+  path: string | URL,
+  options?: ReadTextFileLinesOptions
+): Promise<AsyncIterableIterator<string>>
+async function readTextFileLines(
+  path: string | URL,
+  options?: ReadTextFileLinesOptions
+): Promise<AsyncIterableIterator<string | TextLine>> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  const pathStr = path instanceof URL ? path.toString() : path
+  const { batchSize, withPosition, ...openOptions } = options ?? {}
+
+  return await Promise.resolve({
+    path: pathStr,
+    rid: null as number | null,
+    lines: [] as TextLine[],
+    index: 0,
+    exhausted: false,
+    async next(): Promise<IteratorResult<string | TextLine>> {
+      if (this.index === this.lines.length && !this.exhausted) {
+        if (this.rid === null) {
+          this.rid = await invoke<number>('plugin:fs|read_text_file_lines', {
+            path: pathStr,
+            options: openOptions
+          })
+        }
+
+        // the Rust side closes the resource when it reaches the end or fails
+        let batch: Batch<TextLine>
+        try {
+          batch = await invoke<Batch<TextLine>>(
+            'plugin:fs|read_text_file_lines_batch',
+            { rid: this.rid, size: batchSize }
+          )
+        } catch (e) {
+          this.rid = null
+          throw e
+        }
+
+        this.lines = batch.entries
+        this.index = 0
+        if (batch.done) {
+          this.rid = null
+          this.exhausted = true
+        }
+      }
+
+      if (this.index === this.lines.length) {
+        // an iteration is over, reset for next iteration
+        this.exhausted = false
+        return { value: undefined, done: true }
+      }
+
+      const line = this.lines[this.index++]
+      return { value: withPosition ? line : line.line, done: false }
+    },
+    async return(): Promise<IteratorResult<string | TextLine>> {
+      const rid = this.rid
+      this.rid = null
+      this.lines = []
+      this.index = 0
+      this.exhausted = false
+      if (rid !== null) {
+        await new Resource(rid).close()
+      }
+      return { value: undefined, done: true }
+    },
+    async throw(err: unknown): Promise<IteratorResult<string | TextLine>> {
+      await this.return()
+      throw err
+    },
+    [Symbol.asyncIterator](): AsyncIterableIterator<string | TextLine> {
+      return this
+    }
+  })
+}
+
+/**
+ * @since 2.0.0
+ */
+interface RemoveOptions {
+  /** Defaults to `false`. If set to `true`, path will be removed even if it's a non-empty directory. */
+  recursive?: boolean
+  /** Base directory for `path` */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * Removes the named file or directory.
+ * If the directory is not empty and the `recursive` option isn't set to true, the promise will be rejected.
+ * @example
+ * ```typescript
+ * import { remove, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await remove('users/file.txt', { baseDir: BaseDirectory.AppLocalData });
+ * await remove('users', { baseDir: BaseDirectory.AppLocalData });
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function remove(
+  path: string | URL,
+  options?: RemoveOptions
+): Promise<void> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  await invoke('plugin:fs|remove', {
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+}
+
+/**
+ * @since 2.0.0
+ */
+interface RenameOptions {
+  /** Base directory for `oldPath`. */
+  oldPathBaseDir?: BaseDirectory
+  /** Base directory for `newPath`. */
+  newPathBaseDir?: BaseDirectory
+}
+
+/**
+ * Renames (moves) oldpath to newpath. Paths may be files or directories.
+ * If newpath already exists and is not a directory, rename() replaces it.
+ * OS-specific restrictions may apply when oldpath and newpath are in different directories.
+ *
+ * On Unix, this operation does not follow symlinks at either path.
+ *
  * @example
  * ```typescript
- * import { mkdir, BaseDirectory } from '@tauri-apps/plugin-fs';
- * await mkdir('users', { baseDir: BaseDirectory.AppLocalData });
+ * import { rename, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await rename('avatar.png', 'deleted.png', { oldPathBaseDir: BaseDirectory.App, newPathBaseDir: BaseDirectory.AppLocalData });
  * ```
  *
  * @since 2.0.0
  */
-async function mkdir(
+async function rename(
+  oldPath: string | URL,
+  newPath: string | URL,
+  options?: RenameOptions
+): Promise<void> {
+  if (
+    (oldPath instanceof URL && oldPath.protocol !== 'file:') ||
+    (newPath instanceof URL && newPath.protocol !== 'file:')
+  ) {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  await invoke('plugin:fs|rename', {
+    oldPath: oldPath instanceof URL ? oldPath.toString() : oldPath,
+    newPath: newPath instanceof URL ? newPath.toString() : newPath,
+    options
+  })
+}
+
+/**
+ * @since 2.1.0
+ */
+interface SymlinkOptions {
+  /** Whether the target is a file or a directory. Only used on Windows, where it is detected from the target when not set. */
+  type?: 'file' | 'dir'
+  /** Base directory for `path`. */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * Creates a symbolic link at `path` pointing to `target`.
+ *
+ * `target` is stored as is, a relative target is resolved against the directory of the link.
+ * The resolved target must be allowed by the fs scope.
+ *
+ * @example
+ * ```typescript
+ * import { symlink, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await symlink('toolchains/1.2.0', 'projects/app/toolchain', { type: 'dir', baseDir: BaseDirectory.AppData });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function symlink(
+  target: string,
   path: string | URL,
-  options?: MkdirOptions
+  options?: SymlinkOptions
 ): Promise<void> {
   if (path instanceof URL && path.protocol !== 'file:') {
     throw new TypeError('Must be a file URL.')
   }
 
-  await invoke('plugin:fs|mkdir', {
+  await invoke('plugin:fs|symlink', {
+    target,
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+}
+
+/**
+ * @since 2.1.0
+ */
+interface LinkOptions {
+  /** Base directory for `existingPath`. */
+  existingPathBaseDir?: BaseDirectory
+  /** Base directory for `newPath`. */
+  newPathBaseDir?: BaseDirectory
+}
+
+/**
+ * Creates a hard link at `newPath` to the file at `existingPath`.
+ * @example
+ * ```typescript
+ * import { link, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await link('cache/blob', 'projects/app/blob', { existingPathBaseDir: BaseDirectory.AppData, newPathBaseDir: BaseDirectory.AppData });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function link(
+  existingPath: string | URL,
+  newPath: string | URL,
+  options?: LinkOptions
+): Promise<void> {
+  if (
+    (existingPath instanceof URL && existingPath.protocol !== 'file:') ||
+    (newPath instanceof URL && newPath.protocol !== 'file:')
+  ) {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  await invoke('plugin:fs|link', {
+    existingPath:
+      existingPath instanceof URL ? existingPath.toString() : existingPath,
+    newPath: newPath instanceof URL ? newPath.toString() : newPath,
+    options
+  })
+}
+
+/**
+ * Resolves to the target of the symbolic link at `path`, as stored in the link.
+ * @example
+ * ```typescript
+ * import { readLink, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const target = await readLink('projects/app/toolchain', { baseDir: BaseDirectory.AppData });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function readLink(
+  path: string | URL,
+  options?: StatOptions
+): Promise<string> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  return await invoke<string>('plugin:fs|read_link', {
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+}
+
+/**
+ * Resolves to the absolute path of `path` with all symbolic links, `.` and `..` resolved.
+ * Rejects if the resolved path is not allowed by the fs scope.
+ * @example
+ * ```typescript
+ * import { realPath, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const resolved = await realPath('projects/app/toolchain', { baseDir: BaseDirectory.AppData });
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function realPath(
+  path: string | URL,
+  options?: StatOptions
+): Promise<string> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  return await invoke<string>('plugin:fs|real_path', {
     path: path instanceof URL ? path.toString() : path,
     options
   })
@@ -646,466 +2754,709 @@ async function mkdir(
 /**
  * @since 2.0.0
  */
-interface ReadDirOptions {
-  /** Base directory for `path` */
+interface StatOptions {
+  /** Base directory for `path`. */
   baseDir?: BaseDirectory
 }
 
 /**
- * A disk entry which is either a file, a directory or a symlink.
+ * Resolves to a {@linkcode FileInfo} for the specified `path`. Will always
+ * follow symlinks but will reject if the symlink points to a path outside of the scope.
  *
- * This is the result of the {@linkcode readDir}.
+ * @example
+ * ```typescript
+ * import { stat, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const fileInfo = await stat("hello.txt", { baseDir: BaseDirectory.AppLocalData });
+ * console.log(fileInfo.isFile); // true
+ * ```
  *
  * @since 2.0.0
  */
-interface DirEntry {
-  /** The name of the entry (file name with extension or directory name). */
-  name: string
-  /** Specifies whether this entry is a directory or not. */
-  isDirectory: boolean
-  /** Specifies whether this entry is a file or not. */
-  isFile: boolean
-  /** Specifies whether this entry is a symlink or not. */
-  isSymlink: boolean
+async function stat(
+  path: string | URL,
+  options?: StatOptions
+): Promise<FileInfo> {
+  const res = await invoke<UnparsedFileInfo>('plugin:fs|stat', {
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+
+  return parseFileInfo(res)
 }
 
 /**
- * Reads the directory given by path and returns an array of `DirEntry`.
+ * Resolves to a {@linkcode FileInfo} for the specified `path`. If `path` is a
+ * symlink, information for the symlink will be returned instead of what it
+ * points to.
+ *
  * @example
  * ```typescript
- * import { readDir, BaseDirectory } from '@tauri-apps/plugin-fs';
- * import { join } from '@tauri-apps/api/path';
- * const dir = "users"
- * const entries = await readDir('users', { baseDir: BaseDirectory.AppLocalData });
- * processEntriesRecursively(dir, entries);
- * async function processEntriesRecursively(parent, entries) {
- *   for (const entry of entries) {
- *     console.log(`Entry: ${entry.name}`);
- *     if (entry.isDirectory) {
- *        const dir = await join(parent, entry.name);
- *       processEntriesRecursively(dir, await readDir(dir, { baseDir: BaseDirectory.AppLocalData }))
- *     }
- *   }
- * }
+ * import { lstat, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const fileInfo = await lstat("hello.txt", { baseDir: BaseDirectory.AppLocalData });
+ * console.log(fileInfo.isFile); // true
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function lstat(
+  path: string | URL,
+  options?: StatOptions
+): Promise<FileInfo> {
+  const res = await invoke<UnparsedFileInfo>('plugin:fs|lstat', {
+    path: path instanceof URL ? path.toString() : path,
+    options
+  })
+
+  return parseFileInfo(res)
+}
+
+/**
+ * @since 2.0.0
+ */
+interface TruncateOptions {
+  /** Base directory for `path`. */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * Truncates or extends the specified file, to reach the specified `len`.
+ * If `len` is `0` or not specified, then the entire file contents are truncated.
+ *
+ * @example
+ * ```typescript
+ * import { truncate, readTextFile, writeTextFile, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * // truncate the entire file
+ * await truncate("my_file.txt", 0, { baseDir: BaseDirectory.AppLocalData });
+ *
+ * // truncate part of the file
+ * const filePath = "file.txt";
+ * await writeTextFile(filePath, "Hello World", { baseDir: BaseDirectory.AppLocalData });
+ * await truncate(filePath, 7, { baseDir: BaseDirectory.AppLocalData });
+ * const data = await readTextFile(filePath, { baseDir: BaseDirectory.AppLocalData });
+ * console.log(data);  // "Hello W"
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function truncate(
+  path: string | URL,
+  len?: number,
+  options?: TruncateOptions
+): Promise<void> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  await invoke('plugin:fs|truncate', {
+    path: path instanceof URL ? path.toString() : path,
+    len,
+    options
+  })
+}
+
+function toMsec(time: Date | number): number {
+  return time instanceof Date ? time.getTime() : time
+}
+
+/**
+ * @since 2.1.0
+ */
+interface ChmodOptions {
+  /** Base directory for `path`. */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * Changes the permissions of the specified `path`. On Windows only the read-only flag is changed,
+ * it is set when `mode` has no write bits.
+ * @example
+ * ```typescript
+ * import { chmod, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await chmod('bin/tool', 0o755, { baseDir: BaseDirectory.AppData });
  * ```
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function readDir(
+async function chmod(
   path: string | URL,
-  options?: ReadDirOptions
-): Promise<DirEntry[]> {
+  mode: number,
+  options?: ChmodOptions
+): Promise<void> {
   if (path instanceof URL && path.protocol !== 'file:') {
     throw new TypeError('Must be a file URL.')
   }
 
-  return await invoke('plugin:fs|read_dir', {
+  await invoke('plugin:fs|chmod', {
     path: path instanceof URL ? path.toString() : path,
+    mode,
     options
   })
 }
 
 /**
- * @since 2.0.0
+ * @since 2.1.0
  */
-interface ReadFileOptions {
-  /** Base directory for `path` */
+interface ChownOptions {
+  /** Base directory for `path`. */
   baseDir?: BaseDirectory
 }
 
 /**
- * Reads and resolves to the entire contents of a file as an array of bytes.
- * TextDecoder can be used to transform the bytes to string if required.
+ * Changes the owner and group of the specified `path`, `null` leaves the id unchanged.
+ * Rejects with an `Unsupported` error on Windows.
  * @example
  * ```typescript
- * import { readFile, BaseDirectory } from '@tauri-apps/plugin-fs';
- * const contents = await readFile('avatar.png', { baseDir: BaseDirectory.Resource });
+ * import { chown, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await chown('shared/data.db', 1000, null, { baseDir: BaseDirectory.AppData });
  * ```
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function readFile(
+async function chown(
   path: string | URL,
-  options?: ReadFileOptions
-): Promise<Uint8Array> {
+  uid: number | null,
+  gid: number | null,
+  options?: ChownOptions
+): Promise<void> {
   if (path instanceof URL && path.protocol !== 'file:') {
     throw new TypeError('Must be a file URL.')
   }
 
-  const arr = await invoke<ArrayBuffer | number[]>('plugin:fs|read_file', {
+  await invoke('plugin:fs|chown', {
     path: path instanceof URL ? path.toString() : path,
+    uid,
+    gid,
     options
   })
-
-  return arr instanceof ArrayBuffer ? new Uint8Array(arr) : Uint8Array.from(arr)
 }
 
 /**
- * Reads and returns the entire contents of a file as UTF-8 string.
- * @example
- * ```typescript
- * import { readTextFile, BaseDirectory } from '@tauri-apps/plugin-fs';
- * const contents = await readTextFile('app.conf', { baseDir: BaseDirectory.AppConfig });
- * ```
+ * Like {@linkcode chown}, but changes a symbolic link itself instead of the file it points to.
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function readTextFile(
+async function lchown(
   path: string | URL,
-  options?: ReadFileOptions
-): Promise<string> {
+  uid: number | null,
+  gid: number | null,
+  options?: ChownOptions
+): Promise<void> {
   if (path instanceof URL && path.protocol !== 'file:') {
     throw new TypeError('Must be a file URL.')
   }
 
-  return await invoke<string>('plugin:fs|read_text_file', {
+  await invoke('plugin:fs|lchown', {
     path: path instanceof URL ? path.toString() : path,
+    uid,
+    gid,
     options
   })
 }
 
 /**
- * Returns an async {@linkcode AsyncIterableIterator} over the lines of a file as UTF-8 string.
+ * @since 2.1.0
+ */
+interface UtimesOptions {
+  /** Base directory for `path`. */
+  baseDir?: BaseDirectory
+}
+
+/**
+ * Changes the access and modification times of the specified `path`.
+ * Numbers are milliseconds since the UNIX epoch.
  * @example
  * ```typescript
- * import { readTextFileLines, BaseDirectory } from '@tauri-apps/plugin-fs';
- * const lines = await readTextFileLines('app.conf', { baseDir: BaseDirectory.AppConfig });
- * for await (const line of lines) {
- *   console.log(line);
- * }
+ * import { utimes, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const remoteModifiedAt = new Date('2024-05-01T12:00:00Z');
+ * await utimes('sync/report.pdf', new Date(), remoteModifiedAt, { baseDir: BaseDirectory.AppData });
  * ```
- * You could also call {@linkcode AsyncIterableIterator.next} to advance the
- * iterator so you can lazily read the next line whenever you want.
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function readTextFileLines(
+async function utimes(
   path: string | URL,
-  options?: ReadFileOptions
-): Promise<AsyncIterableIterator<string>> {
+  atime: Date | number,
+  mtime: Date | number,
+  options?: UtimesOptions
+): Promise<void> {
   if (path instanceof URL && path.protocol !== 'file:') {
     throw new TypeError('Must be a file URL.')
   }
 
-  const pathStr = path instanceof URL ? path.toString() : path
-
-  return await Promise.resolve({
-    path: pathStr,
-    rid: null as number | null,
-    async next(): Promise<IteratorResult<string>> {
-      if (this.rid === null) {
-        this.rid = await invoke<number>('plugin:fs|read_text_file_lines', {
-          path: pathStr,
-          options
-        })
-      }
-
-      const [line, done] = await invoke<[string | null, boolean]>(
-        'plugin:fs|read_text_file_lines_next',
-        { rid: this.rid }
-      )
+  await invoke('plugin:fs|utimes', {
+    path: path instanceof URL ? path.toString() : path,
+    atime: toMsec(atime),
+    mtime: toMsec(mtime),
+    options
+  })
+}
 
-      // an iteration is over, reset rid for next iteration
-      if (done) this.rid = null
+/**
+ * Like {@linkcode utimes}, but changes a symbolic link itself instead of the file it points to.
+ *
+ * @since 2.1.0
+ */
+async function lutimes(
+  path: string | URL,
+  atime: Date | number,
+  mtime: Date | number,
+  options?: UtimesOptions
+): Promise<void> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
 
-      return {
-        value: done ? '' : line!,
-        done
-      }
-    },
-    [Symbol.asyncIterator](): AsyncIterableIterator<string> {
-      return this
-    }
+  await invoke('plugin:fs|lutimes', {
+    path: path instanceof URL ? path.toString() : path,
+    atime: toMsec(atime),
+    mtime: toMsec(mtime),
+    options
   })
 }
 
 /**
  * @since 2.0.0
  */
-interface RemoveOptions {
-  /** Defaults to `false`. If set to `true`, path will be removed even if it's a non-empty directory. */
-  recursive?: boolean
+interface WriteFileOptions {
+  /** Defaults to `false`. If set to `true`, will append to a file instead of overwriting previous contents. */
+  append?: boolean
+  /** Sets the option to allow creating a new file, if one doesn't already exist at the specified path (defaults to `true`). */
+  create?: boolean
+  /** Sets the option to create a new file, failing if it already exists. */
+  createNew?: boolean
+  /** File permissions. Ignored on Windows. */
+  mode?: number
   /** Base directory for `path` */
   baseDir?: BaseDirectory
+  /**
+   * Write to a temporary file in the same directory and rename it over `path` once it is fully written and synced,
+   * so a crash never leaves a half-written file behind. Cannot be combined with `append`.
+   *
+   * Existing permissions are kept. The owner and group are kept too on Unix if the process is allowed to change them,
+   * otherwise the file ends up owned by the current user. If `path` is a symlink, its target is replaced and the link is kept.
+   *
+   * @since 2.1.0
+   */
+  atomic?: boolean
+  /**
+   * Also sync the parent directory after an atomic write, making the rename itself durable. Ignored on Windows.
+   *
+   * @since 2.1.0
+   */
+  syncParentDir?: boolean
+  /**
+   * Flush the file to disk before resolving, see {@linkcode FileHandle.sync}. Atomic writes are always flushed.
+   *
+   * @since 2.1.0
+   */
+  sync?: boolean
+  /**
+   * Compress the data while writing it. With `append`, the data is added as a new gzip member or zstd frame.
+   * Brotli streams can't be appended to.
+   *
+   * @since 2.1.0
+   */
+  compression?: CompressionFormat
+  /**
+   * The compression level, from `0` to `9` for gzip (default `6`), `1` to `22` for zstd (default `3`)
+   * and `0` to `11` for brotli (default `6`).
+   *
+   * @since 2.1.0
+   */
+  compressionLevel?: number
 }
 
 /**
- * Removes the named file or directory.
- * If the directory is not empty and the `recursive` option isn't set to true, the promise will be rejected.
+ * @since 2.1.0
+ */
+interface WriteTextFileOptions extends WriteFileOptions {
+  /** The encoding to write the text in, defaults to UTF-8. Fails if the text contains characters the encoding can't represent. */
+  encoding?: TextEncodingLabel
+  /** Prefix the text with a byte order mark. Only UTF-8 and UTF-16 have one. Defaults to `false`. */
+  bom?: boolean
+}
+
+/**
+ * Write `data` to the given `path`, by default creating a new file if needed, else overwriting.
  * @example
  * ```typescript
- * import { remove, BaseDirectory } from '@tauri-apps/plugin-fs';
- * await remove('users/file.txt', { baseDir: BaseDirectory.AppLocalData });
- * await remove('users', { baseDir: BaseDirectory.AppLocalData });
+ * import { writeFile, BaseDirectory } from '@tauri-apps/plugin-fs';
+ *
+ * let encoder = new TextEncoder();
+ * let data = encoder.encode("Hello World");
+ * await writeFile('file.txt', data, { baseDir: BaseDirectory.AppLocalData });
+ * await writeFile('logs/app.log.gz', data, { append: true, compression: 'gzip', baseDir: BaseDirectory.AppLog });
  * ```
  *
  * @since 2.0.0
  */
-async function remove(
+async function writeFile(
   path: string | URL,
-  options?: RemoveOptions
+  data: Uint8Array,
+  options?: WriteFileOptions
 ): Promise<void> {
   if (path instanceof URL && path.protocol !== 'file:') {
     throw new TypeError('Must be a file URL.')
   }
 
-  await invoke('plugin:fs|remove', {
-    path: path instanceof URL ? path.toString() : path,
-    options
+  await invoke('plugin:fs|write_file', data, {
+    headers: {
+      path: encodeURIComponent(path instanceof URL ? path.toString() : path),
+      options: JSON.stringify(options)
+    }
   })
 }
 
 /**
- * @since 2.0.0
- */
-interface RenameOptions {
-  /** Base directory for `oldPath`. */
-  oldPathBaseDir?: BaseDirectory
-  /** Base directory for `newPath`. */
-  newPathBaseDir?: BaseDirectory
+  * Writes string `data` to the given `path` as UTF-8 unless `encoding` is set, by default creating a new file if needed, else overwriting.
+    @example
+  * ```typescript
+  * import { writeTextFile, BaseDirectory } from '@tauri-apps/plugin-fs';
+  *
+  * await writeTextFile('file.txt', "Hello world", { baseDir: BaseDirectory.AppLocalData });
+  * await writeTextFile('export.csv', "name;city", { encoding: 'utf-16le', bom: true, baseDir: BaseDirectory.Document });
+  * ```
+  *
+  * @since 2.0.0
+  */
+async function writeTextFile(
+  path: string | URL,
+  data: string,
+  options?: WriteTextFileOptions
+): Promise<void> {
+  if (path instanceof URL && path.protocol !== 'file:') {
+    throw new TypeError('Must be a file URL.')
+  }
+
+  const encoder = new TextEncoder()
+
+  await invoke('plugin:fs|write_text_file', encoder.encode(data), {
+    headers: {
+      path: path instanceof URL ? path.toString() : path,
+      options: JSON.stringify(options)
+    }
+  })
 }
 
 /**
- * Renames (moves) oldpath to newpath. Paths may be files or directories.
- * If newpath already exists and is not a directory, rename() replaces it.
- * OS-specific restrictions may apply when oldpath and newpath are in different directories.
- *
- * On Unix, this operation does not follow symlinks at either path.
- *
- * @example
- * ```typescript
- * import { rename, BaseDirectory } from '@tauri-apps/plugin-fs';
- * await rename('avatar.png', 'deleted.png', { oldPathBaseDir: BaseDirectory.App, newPathBaseDir: BaseDirectory.AppLocalData });
- * ```
+ * Rejected by {@linkcode readJson} when a file does not contain valid JSON or fails validation.
+ * Its `code` is always `InvalidData`.
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function rename(
-  oldPath: string | URL,
-  newPath: string | URL,
-  options?: RenameOptions
-): Promise<void> {
-  if (
-    (oldPath instanceof URL && oldPath.protocol !== 'file:') ||
-    (newPath instanceof URL && newPath.protocol !== 'file:')
+class JsonError extends FsError {
+  /** 1-based line of the invalid input, if the JSON parser reported it. */
+  readonly line: number | null
+  /** 1-based column of the invalid input, if the JSON parser reported it. */
+  readonly column: number | null
+
+  constructor(
+    payload: Omit<FsErrorPayload, 'code' | 'errno'>,
+    location: { line: number; column: number } | null
   ) {
-    throw new TypeError('Must be a file URL.')
+    super({ ...payload, code: 'InvalidData', errno: null })
+    this.name = 'JsonError'
+    this.line = location?.line ?? null
+    this.column = location?.column ?? null
   }
+}
 
-  await invoke('plugin:fs|rename', {
-    oldPath: oldPath instanceof URL ? oldPath.toString() : oldPath,
-    newPath: newPath instanceof URL ? newPath.toString() : newPath,
-    options
-  })
+/**
+ * Whether `err` is a {@linkcode JsonError}.
+ *
+ * @since 2.1.0
+ */
+function isJsonError(err: unknown): err is JsonError {
+  return err instanceof JsonError
+}
+
+/** Extracts the location of a `JSON.parse` syntax error, engines report it in different formats. */
+function jsonErrorLocation(
+  text: string,
+  err: unknown
+): { line: number; column: number } | null {
+  const message = err instanceof Error ? err.message : String(err)
+
+  const lineColumn = /line (\d+) column (\d+)/.exec(message)
+  if (lineColumn) {
+    return { line: Number(lineColumn[1]), column: Number(lineColumn[2]) }
+  }
+
+  const position = /position (\d+)/.exec(message)
+  if (position) {
+    const lines = text.slice(0, Number(position[1])).split('\n')
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 }
+  }
+
+  return null
 }
 
 /**
- * @since 2.0.0
+ * @since 2.1.0
  */
-interface StatOptions {
-  /** Base directory for `path`. */
-  baseDir?: BaseDirectory
+interface ReadJsonOptions<T> extends ReadTextFileOptions {
+  /** Passed to `JSON.parse`. */
+  reviver?: (this: unknown, key: string, value: unknown) => unknown
+  /**
+   * Checks the parsed value, e.g. with a schema validator.
+   * When it returns `false` or throws, `readJson` rejects with a {@linkcode JsonError}.
+   */
+  validate?: ((value: unknown) => value is T) | ((value: unknown) => boolean)
 }
 
 /**
- * Resolves to a {@linkcode FileInfo} for the specified `path`. Will always
- * follow symlinks but will reject if the symlink points to a path outside of the scope.
- *
+ * Reads a file and parses its contents as JSON.
+ * Rejects with a {@linkcode JsonError} if the file is not valid JSON or fails `validate`.
  * @example
  * ```typescript
- * import { stat, BaseDirectory } from '@tauri-apps/plugin-fs';
- * const fileInfo = await stat("hello.txt", { baseDir: BaseDirectory.AppLocalData });
- * console.log(fileInfo.isFile); // true
+ * import { readJson, isJsonError, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * interface Settings { theme: 'light' | 'dark' }
+ * try {
+ *   const settings = await readJson<Settings>('settings.json', {
+ *     baseDir: BaseDirectory.AppConfig,
+ *     validate: (v) => typeof v === 'object' && v !== null && 'theme' in v
+ *   });
+ * } catch (e) {
+ *   if (isJsonError(e)) {
+ *     console.error(`settings.json is invalid at ${e.line}:${e.column}`);
+ *   }
+ * }
  * ```
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function stat(
+async function readJson<T = unknown>(
   path: string | URL,
-  options?: StatOptions
-): Promise<FileInfo> {
-  const res = await invoke<UnparsedFileInfo>('plugin:fs|stat', {
-    path: path instanceof URL ? path.toString() : path,
-    options
-  })
+  options?: ReadJsonOptions<T>
+): Promise<T> {
+  const { reviver, validate, ...readOptions } = options ?? {}
+  const text = await readTextFile(path, readOptions)
+  const errorPath = path instanceof URL ? path.toString() : path
+
+  let value: unknown
+  try {
+    value = JSON.parse(text, reviver)
+  } catch (e) {
+    throw new JsonError(
+      {
+        message: `failed to parse JSON at path: ${errorPath}: ${e instanceof Error ? e.message : String(e)}`,
+        path: errorPath,
+        syscall: 'parse'
+      },
+      jsonErrorLocation(text, e)
+    )
+  }
 
-  return parseFileInfo(res)
+  if (validate) {
+    let valid: boolean
+    let reason = 'value does not match the expected shape'
+    try {
+      valid = validate(value)
+    } catch (e) {
+      valid = false
+      reason = e instanceof Error ? e.message : String(e)
+    }
+    if (!valid) {
+      throw new JsonError(
+        {
+          message: `failed to validate JSON at path: ${errorPath}: ${reason}`,
+          path: errorPath,
+          syscall: 'validate'
+        },
+        null
+      )
+    }
+  }
+
+  return value as T
 }
 
 /**
- * Resolves to a {@linkcode FileInfo} for the specified `path`. If `path` is a
- * symlink, information for the symlink will be returned instead of what it
- * points to.
- *
+ * @since 2.1.0
+ */
+interface WriteJsonOptions extends WriteFileOptions {
+  /** Passed to `JSON.stringify` for indentation. */
+  space?: string | number
+  /** Passed to `JSON.stringify`. */
+  replacer?: (this: unknown, key: string, value: unknown) => unknown
+}
+
+/**
+ * Serializes `value` as JSON and writes it to the given `path`, by default creating a new file if needed, else overwriting.
  * @example
  * ```typescript
- * import { lstat, BaseDirectory } from '@tauri-apps/plugin-fs';
- * const fileInfo = await lstat("hello.txt", { baseDir: BaseDirectory.AppLocalData });
- * console.log(fileInfo.isFile); // true
+ * import { writeJson, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * await writeJson('settings.json', { theme: 'dark' }, { space: 2, atomic: true, baseDir: BaseDirectory.AppConfig });
  * ```
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function lstat(
+async function writeJson(
   path: string | URL,
-  options?: StatOptions
-): Promise<FileInfo> {
-  const res = await invoke<UnparsedFileInfo>('plugin:fs|lstat', {
-    path: path instanceof URL ? path.toString() : path,
-    options
-  })
+  value: unknown,
+  options?: WriteJsonOptions
+): Promise<void> {
+  const { space, replacer, ...writeOptions } = options ?? {}
+  const json = JSON.stringify(value, replacer, space)
+  if (json === undefined) {
+    throw new TypeError('Value cannot be serialized as JSON.')
+  }
 
-  return parseFileInfo(res)
+  await writeFile(path, new TextEncoder().encode(json), writeOptions)
 }
 
 /**
  * @since 2.0.0
  */
-interface TruncateOptions {
+interface ExistsOptions {
   /** Base directory for `path`. */
   baseDir?: BaseDirectory
 }
 
-/**
- * Truncates or extends the specified file, to reach the specified `len`.
- * If `len` is `0` or not specified, then the entire file contents are truncated.
- *
+/**
+ * Check if a path exists.
  * @example
  * ```typescript
- * import { truncate, readTextFile, writeTextFile, BaseDirectory } from '@tauri-apps/plugin-fs';
- * // truncate the entire file
- * await truncate("my_file.txt", 0, { baseDir: BaseDirectory.AppLocalData });
- *
- * // truncate part of the file
- * const filePath = "file.txt";
- * await writeTextFile(filePath, "Hello World", { baseDir: BaseDirectory.AppLocalData });
- * await truncate(filePath, 7, { baseDir: BaseDirectory.AppLocalData });
- * const data = await readTextFile(filePath, { baseDir: BaseDirectory.AppLocalData });
- * console.log(data);  // "Hello W"
+ * import { exists, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * // Check if the `$APPDATA/avatar.png` file exists
+ * await exists('avatar.png', { baseDir: BaseDirectory.AppData });
  * ```
  *
  * @since 2.0.0
  */
-async function truncate(
+async function exists(
   path: string | URL,
-  len?: number,
-  options?: TruncateOptions
-): Promise<void> {
+  options?: ExistsOptions
+): Promise<boolean> {
   if (path instanceof URL && path.protocol !== 'file:') {
     throw new TypeError('Must be a file URL.')
   }
 
-  await invoke('plugin:fs|truncate', {
+  return await invoke('plugin:fs|exists', {
     path: path instanceof URL ? path.toString() : path,
-    len,
     options
   })
 }
 
 /**
- * @since 2.0.0
+ * Statistics of a file system, returned by {@linkcode statfs}.
+ *
+ * @since 2.1.0
  */
-interface WriteFileOptions {
-  /** Defaults to `false`. If set to `true`, will append to a file instead of overwriting previous contents. */
-  append?: boolean
-  /** Sets the option to allow creating a new file, if one doesn't already exist at the specified path (defaults to `true`). */
-  create?: boolean
-  /** Sets the option to create a new file, failing if it already exists. */
-  createNew?: boolean
-  /** File permissions. Ignored on Windows. */
-  mode?: number
-  /** Base directory for `path` */
+interface FsStats {
+  /** Size of the file system in bytes. */
+  total: number
+  /** Free bytes, including the ones reserved for privileged users. */
+  free: number
+  /** Free bytes available to the current user. */
+  available: number
+  /** Name of the file system type, e.g. `ext4`, `apfs` or `NTFS`, if known. */
+  fsType: string | null
+  /** Whether the file system is mounted read-only. */
+  readOnly: boolean
+}
+
+/**
+ * @since 2.1.0
+ */
+interface StatfsOptions {
+  /** Base directory for `path`. */
   baseDir?: BaseDirectory
 }
 
 /**
- * Write `data` to the given `path`, by default creating a new file if needed, else overwriting.
+ * Resolves to the statistics of the file system `path` is on.
  * @example
  * ```typescript
- * import { writeFile, BaseDirectory } from '@tauri-apps/plugin-fs';
- *
- * let encoder = new TextEncoder();
- * let data = encoder.encode("Hello World");
- * await writeFile('file.txt', data, { baseDir: BaseDirectory.AppLocalData });
+ * import { statfs, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const { available } = await statfs('downloads', { baseDir: BaseDirectory.AppData });
+ * if (available < downloadSize) {
+ *   throw new Error('not enough free space');
+ * }
  * ```
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function writeFile(
+async function statfs(
   path: string | URL,
-  data: Uint8Array,
-  options?: WriteFileOptions
-): Promise<void> {
+  options?: StatfsOptions
+): Promise<FsStats> {
   if (path instanceof URL && path.protocol !== 'file:') {
     throw new TypeError('Must be a file URL.')
   }
 
-  await invoke('plugin:fs|write_file', data, {
-    headers: {
-      path: encodeURIComponent(path instanceof URL ? path.toString() : path),
-      options: JSON.stringify(options)
-    }
+  return await invoke<FsStats>('plugin:fs|statfs', {
+    path: path instanceof URL ? path.toString() : path,
+    options
   })
 }
 
 /**
-  * Writes UTF-8 string `data` to the given `path`, by default creating a new file if needed, else overwriting.
-    @example
-  * ```typescript
-  * import { writeTextFile, BaseDirectory } from '@tauri-apps/plugin-fs';
-  *
-  * await writeTextFile('file.txt', "Hello world", { baseDir: BaseDirectory.AppLocalData });
-  * ```
-  *
-  * @since 2.0.0
-  */
-async function writeTextFile(
-  path: string | URL,
-  data: string,
-  options?: WriteFileOptions
-): Promise<void> {
-  if (path instanceof URL && path.protocol !== 'file:') {
-    throw new TypeError('Must be a file URL.')
-  }
+ * @since 2.1.0
+ */
+interface DiskUsageTotals {
+  /** Sum of the sizes of all entries, in bytes. */
+  apparentSize: number
+  /** Space allocated on disk for all entries, in bytes. Equal to `apparentSize` on Windows. */
+  diskSize: number
+  /** Number of files and symlinks. Files with several hard links are counted every time but their size only once. */
+  files: number
+  /** Number of directories. */
+  directories: number
+  /** Number of entries that could not be read, such as directories without read permission. They are left out of the totals. */
+  skipped: number
+}
 
-  const encoder = new TextEncoder()
+/**
+ * @since 2.1.0
+ */
+interface DiskUsageEntry extends DiskUsageTotals {
+  name: string
+  path: string
+  isDirectory: boolean
+}
 
-  await invoke('plugin:fs|write_text_file', encoder.encode(data), {
-    headers: {
-      path: path instanceof URL ? path.toString() : path,
-      options: JSON.stringify(options)
-    }
-  })
+/**
+ * @since 2.1.0
+ */
+interface DiskUsage extends DiskUsageTotals {
+  /** The direct children of the path, with the totals of their contents. */
+  children: DiskUsageEntry[]
 }
 
 /**
- * @since 2.0.0
+ * @since 2.1.0
  */
-interface ExistsOptions {
+interface DiskUsageOptions {
+  /** Include the contents of subdirectories. Defaults to `true`. */
+  recursive?: boolean
   /** Base directory for `path`. */
   baseDir?: BaseDirectory
 }
 
 /**
- * Check if a path exists.
+ * Computes how much space `path` takes, including the path itself, with a breakdown per direct child.
+ * Symbolic links are not followed and entries not allowed by the fs scope are skipped.
+ * Like `du`, entries that cannot be read are skipped too and counted in `skipped`, only failing to read `path` itself throws.
  * @example
  * ```typescript
- * import { exists, BaseDirectory } from '@tauri-apps/plugin-fs';
- * // Check if the `$APPDATA/avatar.png` file exists
- * await exists('avatar.png', { baseDir: BaseDirectory.AppData });
+ * import { diskUsage, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const usage = await diskUsage('cache', { baseDir: BaseDirectory.AppCache });
+ * console.log(`cache uses ${usage.diskSize} bytes in ${usage.files} files`);
+ * const largest = usage.children.sort((a, b) => b.diskSize - a.diskSize)[0];
  * ```
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function exists(
+async function diskUsage(
   path: string | URL,
-  options?: ExistsOptions
-): Promise<boolean> {
+  options?: DiskUsageOptions
+): Promise<DiskUsage> {
   if (path instanceof URL && path.protocol !== 'file:') {
     throw new TypeError('Must be a file URL.')
   }
 
-  return await invoke('plugin:fs|exists', {
+  return await invoke<DiskUsage>('plugin:fs|disk_usage', {
     path: path instanceof URL ? path.toString() : path,
     options
   })
@@ -1119,14 +3470,97 @@ interface WatchOptions {
   recursive?: boolean
   /** Base directory for `path` */
   baseDir?: BaseDirectory
+  /**
+   * Watch a watched path again once it has been removed and reappears.
+   * Defaults to `false`.
+   *
+   * @since 2.1.0
+   */
+  rewatch?: boolean
+  /**
+   * Only send events for paths matching one of these glob patterns.
+   * Patterns without a `/` are matched against the file name,
+   * the others against the path relative to the watched path.
+   *
+   * @since 2.1.0
+   */
+  include?: string[]
+  /**
+   * Don't send events for paths matching one of these glob patterns, matched like `include`.
+   * Excluding a directory excludes everything in it, e.g. `['node_modules', '.git', '*.tmp']`.
+   *
+   * @since 2.1.0
+   */
+  exclude?: string[]
+  /**
+   * Only send events of these types. Access events are not sent when set,
+   * events whose type the OS couldn't tell are always sent.
+   *
+   * @since 2.1.0
+   */
+  events?: WatchEventType[]
+  /**
+   * Don't send access events, e.g. files being opened or read. Defaults to `false`.
+   *
+   * @since 2.1.0
+   */
+  ignoreAccess?: boolean
+  /**
+   * How changes are detected.
+   * - `native`: the file system notifications of the OS. The default.
+   * - `poll`: scans the watched paths periodically. Use it for network shares, FUSE file systems
+   *   and other places where the OS doesn't report changes.
+   *
+   * @since 2.1.0
+   */
+  backend?: 'native' | 'poll'
+  /**
+   * How often the `poll` backend scans the watched paths. Defaults to 30 seconds.
+   *
+   * @since 2.1.0
+   */
+  pollIntervalMs?: number
+  /**
+   * Make the `poll` backend hash file contents instead of only comparing modification times.
+   * Catches changes that keep the modification time but is slower. Defaults to `false`.
+   *
+   * @since 2.1.0
+   */
+  compareContents?: boolean
+  /**
+   * Called when the watcher reports an error. The watcher keeps running.
+   *
+   * @since 2.1.0
+   */
+  onError?: (error: FsError) => void
+  /**
+   * Called when the state of the watcher changes.
+   *
+   * @since 2.1.0
+   */
+  onLifecycle?: (event: WatchLifecycleEvent) => void
 }
 
+/**
+ * The event types {@linkcode WatchOptions.events} filters on.
+ * `rename` covers {@linkcode WatchEventKindModify} events of kind `rename`, `modify` all other modify events.
+ *
+ * @since 2.1.0
+ */
+type WatchEventType = 'create' | 'modify' | 'remove' | 'rename'
+
 /**
  * @since 2.0.0
  */
 interface DebouncedWatchOptions extends WatchOptions {
   /** Debounce delay */
   delayMs?: number
+  /**
+   * Called with all events of a debounce tick at once, before the watch callback is called for each of them.
+   *
+   * @since 2.1.0
+   */
+  onBatch?: (events: WatchEvent[]) => void
 }
 
 /**
@@ -1134,8 +3568,16 @@ interface DebouncedWatchOptions extends WatchOptions {
  */
 interface WatchEvent {
   type: WatchEventKind
+  /** The old and the new path for renames of kind `both`. */
   paths: string[]
   attrs: unknown
+  /**
+   * When the event happened, in milliseconds since the UNIX epoch.
+   * Only set by {@linkcode watch}.
+   *
+   * @since 2.1.0
+   */
+  time?: number
 }
 
 /**
@@ -1197,29 +3639,152 @@ type WatchEventKindRemove =
   | { kind: 'other' }
 
 /**
+ * A change in the state of a watcher.
+ * - `rootRemoved`: a watched path has been removed or moved away.
+ * - `rootRestored`: a removed path has reappeared and is watched again, see {@linkcode WatchOptions.rewatch}.
+ * - `rescan`: events have been missed, e.g. because the event queue of the OS overflowed. Rescan the watched paths.
+ * - `stopped`: the watcher has stopped and won't call any callback again.
+ *
+ * @since 2.1.0
+ */
+type WatchLifecycleEvent =
+  | { type: 'rootRemoved'; path: string }
+  | { type: 'rootRestored'; path: string }
+  | { type: 'rescan' }
+  | { type: 'stopped' }
+
+type WatchMessage =
+  | { event: 'Event'; data: WatchEvent }
+  | { event: 'Batch'; data: WatchEvent[] }
+  | { event: 'Error'; data: FsErrorPayload }
+  | { event: 'Lifecycle'; data: WatchLifecycleEvent }
+
+/**
+ * The notify backend a watcher uses, `poll` if changes are detected by scanning the watched paths.
+ *
+ * @since 2.1.0
+ */
+type WatcherKind =
+  'inotify' | 'fsevent' | 'kqueue' | 'poll' | 'readDirectoryChanges' | 'other'
+
+/**
+ * Stops watching. The {@linkcode Watcher} returned by {@linkcode watch} and {@linkcode watchImmediate} can be called as this function,
+ * which does the same as {@linkcode Watcher.close} without waiting for it.
+ *
  * @since 2.0.0
  */
 type UnwatchFn = () => void
 
+/**
+ * The state of a {@linkcode Watcher}.
+ *
+ * @since 2.1.0
+ */
+interface WatcherInfo {
+  rid: number
+  /** The absolute paths being watched. */
+  paths: string[]
+  paused: boolean
+  /** The notify backend of the watcher. */
+  watcherKind: WatcherKind
+}
+
+/**
+ * @since 2.1.0
+ */
+interface WatchPathOptions {
+  /** Base directory for `path`. Defaults to the `baseDir` the watcher was created with. */
+  baseDir?: BaseDirectory
+}
+
 async function unwatch(rid: number): Promise<void> {
   await invoke('plugin:fs|unwatch', { rid })
 }
 
 /**
- * Watch changes (after a delay) on files or directories.
+ * A watcher created with {@linkcode watch} or {@linkcode watchImmediate}.
  *
- * @since 2.0.0
+ * @since 2.1.0
  */
-async function watch(
+class Watcher extends Resource {
+  /** The notify backend of the watcher, `poll` if changes are detected by scanning the watched paths. */
+  readonly watcherKind: WatcherKind
+  private readonly baseDir?: BaseDirectory
+
+  constructor(rid: number, watcherKind: WatcherKind, baseDir?: BaseDirectory) {
+    super(rid)
+    this.watcherKind = watcherKind
+    this.baseDir = baseDir
+  }
+
+  /**
+   * Starts watching `path` with the options the watcher was created with,
+   * without missing events for the paths already watched.
+   * Does nothing if `path` is already watched.
+   */
+  async addPath(path: string | URL, options?: WatchPathOptions): Promise<void> {
+    await this.invokePath('plugin:fs|add_watch_path', path, options)
+  }
+
+  /** Stops watching `path`. Does nothing if `path` isn't watched. */
+  async removePath(
+    path: string | URL,
+    options?: WatchPathOptions
+  ): Promise<void> {
+    await this.invokePath('plugin:fs|remove_watch_path', path, options)
+  }
+
+  /** Stops sending events until {@linkcode Watcher.resume} is called. Events that happen in the meantime are dropped. */
+  async pause(): Promise<void> {
+    await invoke('plugin:fs|pause_watcher', { rid: this.rid })
+  }
+
+  /** Sends events again after {@linkcode Watcher.pause}. */
+  async resume(): Promise<void> {
+    await invoke('plugin:fs|resume_watcher', { rid: this.rid })
+  }
+
+  /** The absolute paths being watched. */
+  async paths(): Promise<string[]> {
+    const info = await invoke<WatcherInfo>('plugin:fs|watcher_info', {
+      rid: this.rid
+    })
+    return info.paths
+  }
+
+  /** Stops watching all paths. */
+  async close(): Promise<void> {
+    await unwatch(this.rid)
+  }
+
+  /** Stops watching all paths. */
+  async [asyncDispose](): Promise<void> {
+    await this.close()
+  }
+
+  private async invokePath(
+    cmd: string,
+    path: string | URL,
+    options?: WatchPathOptions
+  ): Promise<void> {
+    if (path instanceof URL && path.protocol !== 'file:') {
+      throw new TypeError('Must be a file URL.')
+    }
+
+    await invoke(cmd, {
+      rid: this.rid,
+      path: path instanceof URL ? path.toString() : path,
+      options: { baseDir: this.baseDir, ...options }
+    })
+  }
+}
+
+async function invokeWatch(
   paths: string | string[] | URL | URL[],
   cb: (event: WatchEvent) => void,
-  options?: DebouncedWatchOptions
-): Promise<UnwatchFn> {
-  const opts = {
-    recursive: false,
-    delayMs: 2000,
-    ...options
-  }
+  options: Omit<DebouncedWatchOptions, 'delayMs'> & { delayMs: number | null }
+): Promise<Watcher & UnwatchFn> {
+  const { onBatch, onError, onLifecycle, ...opts } = options
 
   const watchPaths = Array.isArray(paths) ? paths : [paths]
 
@@ -1229,104 +3794,265 @@ async function watch(
     }
   }
 
-  const onEvent = new Channel<WatchEvent>()
-  onEvent.onmessage = cb
+  const onEvent = new Channel<WatchMessage>()
+  onEvent.onmessage = (message) => {
+    switch (message.event) {
+      case 'Event':
+        cb(message.data)
+        break
+      case 'Batch':
+        onBatch?.(message.data)
+        for (const event of message.data) {
+          cb(event)
+        }
+        break
+      case 'Error':
+        onError?.(new FsError(message.data))
+        break
+      case 'Lifecycle':
+        onLifecycle?.(message.data)
+        break
+    }
+  }
 
-  const rid: number = await invoke('plugin:fs|watch', {
+  const { rid, watcherKind } = await invoke<WatcherInfo>('plugin:fs|watch', {
     paths: watchPaths.map((p) => (p instanceof URL ? p.toString() : p)),
     options: opts,
     onEvent
   })
 
-  return () => {
-    void unwatch(rid)
+  return callableWatcher(new Watcher(rid, watcherKind, opts.baseDir))
+}
+
+/** Makes `watcher` callable like the {@linkcode UnwatchFn} `watch` returned before 2.1.0. */
+function callableWatcher(watcher: Watcher): Watcher & UnwatchFn {
+  const unwatchFn = (): void => {
+    void watcher.close()
   }
+  // forward to the watcher itself, its methods rely on private fields a plain function doesn't have
+  return new Proxy(unwatchFn, {
+    get: (_, property) => {
+      const value = Reflect.get(watcher, property, watcher)
+      return typeof value === 'function' ? value.bind(watcher) : value
+    },
+    has: (_, property) => property in watcher,
+    getPrototypeOf: () => Watcher.prototype
+  }) as Watcher & UnwatchFn
+}
+
+/**
+ * Lists the watchers of the current webview that haven't been closed yet.
+ * @example
+ * ```typescript
+ * import { listWatchers } from '@tauri-apps/plugin-fs';
+ * for (const { paths, watcherKind } of await listWatchers()) {
+ *   console.log(watcherKind, paths);
+ * }
+ * ```
+ *
+ * @since 2.1.0
+ */
+async function listWatchers(): Promise<WatcherInfo[]> {
+  return await invoke<WatcherInfo[]>('plugin:fs|list_watchers')
+}
+
+/**
+ * Watch changes (after a delay) on files or directories.
+ *
+ * Resolves to a {@linkcode Watcher}, which can also be called to stop watching like the {@linkcode UnwatchFn} returned before 2.1.0.
+ * @example
+ * ```typescript
+ * import { watch, BaseDirectory } from '@tauri-apps/plugin-fs';
+ * const watcher = await watch('projects', (event) => console.log(event), {
+ *   baseDir: BaseDirectory.AppData,
+ *   recursive: true,
+ *   exclude: ['node_modules', '.git'],
+ *   ignoreAccess: true,
+ *   rewatch: true,
+ *   onError: (error) => console.error(error),
+ *   onLifecycle: (event) => {
+ *     if (event.type === 'rescan') {
+ *       // reload everything, some events have been missed
+ *     }
+ *   }
+ * });
+ * await watcher.addPath('documents', { baseDir: BaseDirectory.Document });
+ * await watcher.close();
+ * ```
+ *
+ * @since 2.0.0
+ */
+async function watch(
+  paths: string | string[] | URL | URL[],
+  cb: (event: WatchEvent) => void,
+  options?: DebouncedWatchOptions
+): Promise<Watcher & UnwatchFn> {
+  return await invokeWatch(paths, cb, {
+    recursive: false,
+    delayMs: 2000,
+    ...options
+  })
 }
 
 /**
  * Watch changes on files or directories.
  *
+ * Resolves to a {@linkcode Watcher}, which can also be called to stop watching like the {@linkcode UnwatchFn} returned before 2.1.0.
+ *
  * @since 2.0.0
  */
 async function watchImmediate(
   paths: string | string[] | URL | URL[],
   cb: (event: WatchEvent) => void,
   options?: WatchOptions
-): Promise<UnwatchFn> {
-  const opts = {
+): Promise<Watcher & UnwatchFn> {
+  return await invokeWatch(paths, cb, {
     recursive: false,
     ...options,
     delayMs: null
-  }
-
-  const watchPaths = Array.isArray(paths) ? paths : [paths]
-
-  for (const path of watchPaths) {
-    if (path instanceof URL && path.protocol !== 'file:') {
-      throw new TypeError('Must be a file URL.')
-    }
-  }
-
-  const onEvent = new Channel<WatchEvent>()
-  onEvent.onmessage = cb
-
-  const rid: number = await invoke('plugin:fs|watch', {
-    paths: watchPaths.map((p) => (p instanceof URL ? p.toString() : p)),
-    options: opts,
-    onEvent
   })
-
-  return () => {
-    void unwatch(rid)
-  }
 }
 
 export type {
+  FsErrorCode,
   CreateOptions,
   OpenOptions,
+  ReadStreamOptions,
+  WriteStreamOptions,
+  MakeTempOptions,
+  LockOptions,
+  LockFileOptions,
   CopyFileOptions,
+  CopyDirOptions,
+  CopyDirProgress,
+  DiffCompare,
+  DiffDirsOptions,
+  DiffEntry,
+  DirDiff,
+  SyncAction,
+  SyncDirOptions,
+  SyncDirProgress,
+  ArchiveFormat,
+  ArchiveProgress,
+  ArchiveEntry,
+  CreateArchiveOptions,
+  ListArchiveOptions,
+  ExtractArchiveOptions,
   MkdirOptions,
   DirEntry,
   ReadDirOptions,
+  WalkDirOptions,
+  WalkEntry,
+  GlobOptions,
   ReadFileOptions,
+  ReadFileRangeOptions,
+  CompressionFormat,
+  HashAlgorithm,
+  HashOptions,
+  HashFileOptions,
+  HashProgress,
+  ReadTextFileOptions,
+  ReadTextFileLinesOptions,
+  TextLine,
+  TextEncodingLabel,
   RemoveOptions,
   RenameOptions,
+  SymlinkOptions,
+  LinkOptions,
   StatOptions,
   TruncateOptions,
+  ChmodOptions,
+  ChownOptions,
+  UtimesOptions,
   WriteFileOptions,
+  WriteTextFileOptions,
+  ReadJsonOptions,
+  WriteJsonOptions,
   ExistsOptions,
   FileInfo,
+  FsStats,
+  StatfsOptions,
+  DiskUsage,
+  DiskUsageEntry,
+  DiskUsageTotals,
+  DiskUsageOptions,
   WatchOptions,
   DebouncedWatchOptions,
+  WatchPathOptions,
+  WatcherInfo,
   WatchEvent,
   WatchEventKind,
   WatchEventKindAccess,
   WatchEventKindCreate,
   WatchEventKindModify,
   WatchEventKindRemove,
+  WatchEventType,
+  WatchLifecycleEvent,
+  WatcherKind,
   UnwatchFn
 }
 
 export {
   BaseDirectory,
+  FsError,
+  isFsError,
+  isNotFound,
+  isPermissionDenied,
+  isAlreadyExists,
+  isScopeForbidden,
+  JsonError,
+  isJsonError,
   FileHandle,
+  TempFile,
+  TempDir,
+  FileLock,
+  Watcher,
   create,
   open,
+  openReadStream,
+  openWriteStream,
+  makeTempFile,
+  makeTempDir,
+  lockFile,
   copyFile,
+  copyDir,
+  diffDirs,
+  syncDir,
+  createArchive,
+  listArchive,
+  extractArchive,
   mkdir,
   readDir,
+  walkDir,
+  glob,
+  globStream,
   readFile,
+  hashFile,
   readTextFile,
   readTextFileLines,
   remove,
   rename,
+  symlink,
+  link,
+  readLink,
+  realPath,
   SeekMode,
   stat,
   lstat,
   truncate,
+  chmod,
+  chown,
+  lchown,
+  utimes,
+  lutimes,
   writeFile,
   writeTextFile,
+  readJson,
+  writeJson,
   exists,
+  statfs,
+  diskUsage,
   watch,
-  watchImmediate
+  watchImmediate,
+  listWatchers
 }
@@ -0,0 +1,370 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+//! Reading and writing zip and tar archives for the archive commands.
+
+use std::{
+    borrow::Cow,
+    fs::{File, Metadata},
+    io::{self, BufReader, BufWriter, Read, Seek, SeekFrom, Write},
+    path::{Component, Path, PathBuf},
+    time::SystemTime,
+};
+
+use flate2::{read::MultiGzDecoder, write::GzEncoder, Compression};
+use serde::{Deserialize, Serialize};
+
+use crate::{Error, SafeFilePath};
+
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Deserialize)]
+pub enum ArchiveFormat {
+    #[serde(rename = "zip")]
+    Zip,
+    #[serde(rename = "tar")]
+    Tar,
+    #[serde(rename = "tar.gz")]
+    TarGz,
+}
+
+impl ArchiveFormat {
+    /// Guesses the format from the extension of `path`.
+    pub(crate) fn from_extension(path: &Path) -> Option<Self> {
+        let name = path.file_name()?.to_string_lossy().to_lowercase();
+        if name.ends_with(".zip") {
+            Some(Self::Zip)
+        } else if name.ends_with(".tar.gz") || name.ends_with(".tgz") {
+            Some(Self::TarGz)
+        } else if name.ends_with(".tar") {
+            Some(Self::Tar)
+        } else {
+            None
+        }
+    }
+
+    /// Detects the format from the first bytes of `file` and rewinds it.
+    pub(crate) fn detect(file: &mut File) -> io::Result<Self> {
+        let mut magic = Vec::with_capacity(262);
+        file.by_ref().take(262).read_to_end(&mut magic)?;
+        file.seek(SeekFrom::Start(0))?;
+
+        if magic.starts_with(b"PK\x03\x04") || magic.starts_with(b"PK\x05\x06") {
+            Ok(Self::Zip)
+        } else if magic.starts_with(&[0x1f, 0x8b]) {
+            Ok(Self::TarGz)
+        } else if magic.get(257..262) == Some(b"ustar") {
+            Ok(Self::Tar)
+        } else {
+            Err(io::Error::new(
+                io::ErrorKind::InvalidData,
+                "unknown archive format",
+            ))
+        }
+    }
+}
+
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ArchiveEntry {
+    /// The path of the entry as stored in the archive.
+    pub(crate) path: String,
+    /// The uncompressed size in bytes.
+    pub(crate) size: u64,
+    pub(crate) is_directory: bool,
+    pub(crate) is_file: bool,
+    pub(crate) is_symlink: bool,
+    /// The modification time in milliseconds since the UNIX epoch, if stored.
+    pub(crate) mtime: Option<u64>,
+    /// The unix permission bits, if stored.
+    pub(crate) mode: Option<u32>,
+    /// The target of a symlink entry.
+    pub(crate) link_target: Option<PathBuf>,
+}
+
+/// Turns the path of an archive entry into a relative path that stays inside the directory it is extracted to.
+///
+/// Paths with `..` components are rejected the same way [`SafeFilePath`] rejects them, absolute paths are rejected as well.
+pub(crate) fn entry_path(name: &str) -> crate::Result<PathBuf> {
+    // zip files created on Windows may use backslashes as separators
+    let path = PathBuf::from(name.replace('\\', "/"));
+    SafeFilePath::try_from(path.as_path())?;
+
+    if path
+        .components()
+        .all(|c| matches!(c, Component::Normal(_) | Component::CurDir))
+    {
+        Ok(path)
+    } else {
+        Err(Error::UnsafeArchiveEntry(name.into()))
+    }
+}
+
+/// Calls `f` with every entry of the archive and a reader over its contents, in archive order.
+pub(crate) fn for_each_entry<E: From<io::Error>>(
+    file: File,
+    format: ArchiveFormat,
+    mut f: impl FnMut(ArchiveEntry, &mut dyn Read) -> Result<(), E>,
+) -> Result<(), E> {
+    match format {
+        ArchiveFormat::Zip => {
+            let mut archive =
+                zip::ZipArchive::new(BufReader::new(file)).map_err(io::Error::from)?;
+            for i in 0..archive.len() {
+                let mut file = archive.by_index(i).map_err(io::Error::from)?;
+                let is_directory = file.is_dir();
+                let is_symlink = file.is_symlink();
+                // the target of a symlink is stored as its contents
+                let link_target = if is_symlink {
+                    let mut target = String::new();
+                    file.read_to_string(&mut target)?;
+                    Some(PathBuf::from(target))
+                } else {
+                    None
+                };
+                let entry = ArchiveEntry {
+                    path: file.name().to_string(),
+                    size: file.size(),
+                    is_directory,
+                    is_file: !is_directory && !is_symlink,
+                    is_symlink,
+                    mtime: file.last_modified().and_then(zip_time_to_msec),
+                    mode: file.unix_mode(),
+                    link_target,
+                };
+                f(entry, &mut file)?;
+            }
+            Ok(())
+        }
+        ArchiveFormat::Tar => for_each_tar_entry(tar::Archive::new(BufReader::new(file)), f),
+        ArchiveFormat::TarGz => for_each_tar_entry(
+            tar::Archive::new(MultiGzDecoder::new(BufReader::new(file))),
+            f,
+        ),
+    }
+}
+
+fn for_each_tar_entry<R: Read, E: From<io::Error>>(
+    mut archive: tar::Archive<R>,
+    mut f: impl FnMut(ArchiveEntry, &mut dyn Read) -> Result<(), E>,
+) -> Result<(), E> {
+    for entry in archive.entries()? {
+        let mut entry = entry?;
+        let header = entry.header();
+        let entry_type = header.entry_type();
+        let info = ArchiveEntry {
+            path: String::from_utf8_lossy(&entry.path_bytes()).into_owned(),
+            size: entry.size(),
+            is_directory: entry_type.is_dir(),
+            is_file: entry_type.is_file(),
+            is_symlink: entry_type.is_symlink(),
+            mtime: header.mtime().ok().map(|secs| secs * 1000),
+            mode: header.mode().ok(),
+            link_target: if entry_type.is_symlink() {
+                entry.link_name()?.map(Cow::into_owned)
+            } else {
+                None
+            },
+        };
+        f(info, &mut entry)?;
+    }
+    Ok(())
+}
+
+/// Writes entries to a new archive.
+pub(crate) enum ArchiveWriter {
+    Zip {
+        writer: zip::ZipWriter<BufWriter<File>>,
+        compression_level: Option<i64>,
+    },
+    Tar(tar::Builder<BufWriter<File>>),
+    TarGz(tar::Builder<GzEncoder<BufWriter<File>>>),
+}
+
+impl ArchiveWriter {
+    /// `compression_level` ranges from 0 to 9 and is ignored for plain tar archives.
+    pub(crate) fn new(file: File, format: ArchiveFormat, compression_level: Option<u32>) -> Self {
+        let writer = BufWriter::new(file);
+        match format {
+            ArchiveFormat::Zip => Self::Zip {
+                writer: zip::ZipWriter::new(writer),
+                compression_level: compression_level.map(i64::from),
+            },
+            ArchiveFormat::Tar => Self::Tar(tar_builder(writer)),
+            ArchiveFormat::TarGz => {
+                let level = compression_level.map_or_else(Compression::default, Compression::new);
+                Self::TarGz(tar_builder(GzEncoder::new(writer, level)))
+            }
+        }
+    }
+
+    /// Adds the file, directory or symlink at `path` as `name`.
+    /// Directories are added without their contents and symlinks are not followed.
+    pub(crate) fn append(
+        &mut self,
+        name: &str,
+        path: &Path,
+        metadata: &Metadata,
+    ) -> io::Result<()> {
+        match self {
+            Self::Zip {
+                writer,
+                compression_level,
+            } => {
+                let options = zip::write::SimpleFileOptions::default()
+                    .compression_method(zip::CompressionMethod::Deflated)
+                    .compression_level(*compression_level)
+                    .last_modified_time(metadata.modified().map(zip_time).unwrap_or_default());
+                #[cfg(unix)]
+                let options = {
+                    use std::os::unix::fs::PermissionsExt;
+                    options.unix_permissions(metadata.permissions().mode())
+                };
+
+                if metadata.is_dir() {
+                    writer.add_directory(name, options)?;
+                } else if metadata.file_type().is_symlink() {
+                    let target = std::fs::read_link(path)?;
+                    writer.add_symlink(name, target.to_string_lossy(), options)?;
+                } else {
+                    writer
+                        .start_file(name, options.large_file(metadata.len() >= u32::MAX as u64))?;
+                    io::copy(&mut File::open(path)?, writer)?;
+                }
+                Ok(())
+            }
+            Self::Tar(builder) => builder.append_path_with_name(path, name),
+            Self::TarGz(builder) => builder.append_path_with_name(path, name),
+        }
+    }
+
+    /// Writes the archive trailer and flushes the archive to disk.
+    pub(crate) fn finish(self) -> io::Result<()> {
+        let mut writer = match self {
+            Self::Zip { writer, .. } => writer.finish()?,
+            Self::Tar(builder) => builder.into_inner()?,
+            Self::TarGz(builder) => builder.into_inner()?.finish()?,
+        };
+        writer.flush()
+    }
+}
+
+fn tar_builder<W: Write>(writer: W) -> tar::Builder<W> {
+    let mut builder = tar::Builder::new(writer);
+    builder.follow_symlinks(false);
+    builder
+}
+
+/// Zip timestamps have no time zone, they are written in UTC.
+fn zip_time(time: SystemTime) -> zip::DateTime {
+    let time = time::OffsetDateTime::from(time);
+    zip::DateTime::from_date_and_time(
+        time.year().try_into().unwrap_or_default(),
+        time.month().into(),
+        time.day(),
+        time.hour(),
+        time.minute(),
+        time.second(),
+    )
+    .unwrap_or_default()
+}
+
+fn zip_time_to_msec(time: zip::DateTime) -> Option<u64> {
+    let date = time::Date::from_calendar_date(
+        time.year().into(),
+        time.month().try_into().ok()?,
+        time.day(),
+    )
+    .ok()?;
+    let secs = date
+        .with_hms(time.hour(), time.minute(), time.second())
+        .ok()?
+        .assume_utc()
+        .unix_timestamp();
+    u64::try_from(secs).ok().map(|secs| secs * 1000)
+}
+
+mod test {
+    use super::{entry_path, for_each_entry, ArchiveFormat, ArchiveWriter};
+    use std::{
+        fs::File,
+        io::Read,
+        path::{Path, PathBuf},
+    };
+
+    #[test]
+    fn entry_path_stays_inside() {
+        assert_eq!(entry_path("a/b.txt").unwrap(), PathBuf::from("a/b.txt"));
+        assert_eq!(entry_path("./a/").unwrap(), PathBuf::from("./a/"));
+        assert_eq!(entry_path("a\\b.txt").unwrap(), PathBuf::from("a/b.txt"));
+
+        for name in [
+            "../a",
+            "a/../../b",
+            "a\\..\\..\\b",
+            "/etc/passwd",
+            "\\\\server\\share\\a",
+        ] {
+            assert!(entry_path(name).is_err(), "{name}");
+        }
+        #[cfg(windows)]
+        assert!(entry_path("C:\\Windows\\a").is_err());
+    }
+
+    #[test]
+    fn archive_round_trip() {
+        let root =
+            std::env::temp_dir().join(format!("tauri-plugin-fs-{}", uuid::Uuid::new_v4().simple()));
+        std::fs::create_dir_all(root.join("d")).unwrap();
+        std::fs::write(root.join("d/a.txt"), "hello").unwrap();
+
+        let mut results = Vec::new();
+        for (format, name) in [
+            (ArchiveFormat::Zip, "a.zip"),
+            (ArchiveFormat::Tar, "a.tar"),
+            (ArchiveFormat::TarGz, "a.tgz"),
+        ] {
+            let archive = root.join(name);
+            let mut writer = ArchiveWriter::new(File::create(&archive).unwrap(), format, None);
+            for entry in ["d", "d/a.txt"] {
+                let path = root.join(entry);
+                let metadata = std::fs::symlink_metadata(&path).unwrap();
+                writer.append(entry, &path, &metadata).unwrap();
+            }
+            writer.finish().unwrap();
+
+            let mut entries = Vec::new();
+            for_each_entry(File::open(&archive).unwrap(), format, |entry, reader| {
+                let mut contents = String::new();
+                reader.read_to_string(&mut contents)?;
+                entries.push((
+                    entry.path.trim_end_matches('/').to_string(),
+                    entry.is_directory,
+                    contents,
+                ));
+                std::io::Result::Ok(())
+            })
+            .unwrap();
+
+            results.push((
+                ArchiveFormat::from_extension(Path::new(name)),
+                ArchiveFormat::detect(&mut File::open(&archive).unwrap()).unwrap(),
+                format,
+                entries,
+            ));
+        }
+        std::fs::remove_dir_all(&root).unwrap();
+
+        for (from_extension, detected, format, entries) in results {
+            assert_eq!(from_extension, Some(format));
+            assert_eq!(detected, format);
+            assert_eq!(
+                entries,
+                [
+                    ("d".to_string(), true, String::new()),
+                    ("d/a.txt".to_string(), false, "hello".to_string()),
+                ],
+                "{format:?}"
+            );
+        }
+    }
+}
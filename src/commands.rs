@@ -6,7 +6,7 @@
 use serde::{Deserialize, Serialize, Serializer};
 use serde_repr::{Deserialize_repr, Serialize_repr};
 use tauri::{
-    ipc::{CommandScope, GlobalScope},
+    ipc::{Channel, CommandScope, GlobalScope},
     path::BaseDirectory,
     utils::config::FsScope,
     Manager, Resource, ResourceId, Runtime, Webview,
@@ -14,15 +14,28 @@ use tauri::{
 
 use std::{
     borrow::Cow,
+    collections::{BTreeMap, HashSet},
     fs::File,
-    io::{BufReader, Lines, Read, Write},
+    io::{BufReader, Read, Seek, SeekFrom, Write},
     path::{Path, PathBuf},
     str::FromStr,
-    sync::Mutex,
+    sync::{
+        atomic::{AtomicBool, Ordering},
+        Arc, Mutex,
+    },
     time::{SystemTime, UNIX_EPOCH},
 };
 
-use crate::{scope::Entry, Error, FsExt, SafeFilePath};
+#[cfg(feature = "archive")]
+use crate::archive::{ArchiveEntry, ArchiveFormat, ArchiveWriter};
+use crate::{
+    compression::Compression,
+    encoding::{DecodeReader, TextEncoding},
+    error::{ErrorCode, ErrorPayload},
+    hash::{HashAlgorithm, Hasher},
+    scope::Entry,
+    Error, FsExt, SafeFilePath,
+};
 
 #[derive(Debug, thiserror::Error)]
 pub enum CommandError {
@@ -41,6 +54,46 @@ pub enum CommandError {
     #[cfg(feature = "watch")]
     #[error(transparent)]
     Watcher(#[from] notify::Error),
+    /// An I/O error that happened while running `syscall` on `path`.
+    #[error("{message} with error: {source}")]
+    Fs {
+        message: String,
+        syscall: &'static str,
+        path: Option<PathBuf>,
+        #[source]
+        source: std::io::Error,
+    },
+}
+
+impl CommandError {
+    pub(crate) fn fs(
+        source: std::io::Error,
+        syscall: &'static str,
+        path: Option<PathBuf>,
+        message: String,
+    ) -> Self {
+        Self::Fs {
+            message,
+            syscall,
+            path,
+            source,
+        }
+    }
+
+    /// The stable [`ErrorCode`] of this error.
+    pub fn code(&self) -> ErrorCode {
+        match self {
+            Self::Anyhow(_) => ErrorCode::Unknown,
+            Self::Plugin(e) => e.code(),
+            Self::Tauri(e) => e.into(),
+            Self::Json(_) => ErrorCode::InvalidInput,
+            Self::Io(e) => e.into(),
+            Self::UrlParseError(_) => ErrorCode::InvalidPath,
+            #[cfg(feature = "watch")]
+            Self::Watcher(e) => e.into(),
+            Self::Fs { source, .. } => source.into(),
+        }
+    }
 }
 
 impl From<String> for CommandError {
@@ -60,11 +113,50 @@ impl Serialize for CommandError {
     where
         S: Serializer,
     {
-        if let Self::Anyhow(err) = self {
-            serializer.serialize_str(format!("{err:#}").as_ref())
-        } else {
-            serializer.serialize_str(self.to_string().as_ref())
-        }
+        let payload = match self {
+            Self::Anyhow(err) => ErrorPayload {
+                code: self.code(),
+                message: format!("{err:#}"),
+                path: None,
+                syscall: None,
+                errno: None,
+            },
+            Self::Plugin(err) => err.payload(),
+            #[cfg(feature = "watch")]
+            Self::Watcher(err) => ErrorPayload {
+                code: self.code(),
+                message: self.to_string(),
+                path: err.paths.first().map(PathBuf::as_path),
+                syscall: None,
+                errno: match &err.kind {
+                    notify::ErrorKind::Io(e) => e.raw_os_error(),
+                    _ => None,
+                },
+            },
+            Self::Fs {
+                syscall,
+                path,
+                source,
+                ..
+            } => ErrorPayload {
+                code: self.code(),
+                message: self.to_string(),
+                path: path.as_deref(),
+                syscall: Some(*syscall),
+                errno: source.raw_os_error(),
+            },
+            _ => ErrorPayload {
+                code: self.code(),
+                message: self.to_string(),
+                path: None,
+                syscall: None,
+                errno: match self {
+                    Self::Io(e) | Self::Tauri(tauri::Error::Io(e)) => e.raw_os_error(),
+                    _ => None,
+                },
+            },
+        };
+        payload.serialize(serializer)
     }
 }
 
@@ -92,9 +184,11 @@ pub fn create<R: Runtime>(
         options.and_then(|o| o.base_dir),
     )?;
     let file = File::create(&resolved_path).map_err(|e| {
-        format!(
-            "failed to create file at path: {} with error: {e}",
-            resolved_path.display()
+        CommandError::fs(
+            e,
+            "create",
+            Some(resolved_path.clone()),
+            format!("failed to create file at path: {}", resolved_path.display()),
         )
     })?;
     let rid = webview.resources_table().add(StdFileResource::new(file));
@@ -150,6 +244,159 @@ pub fn open<R: Runtime>(
     Ok(rid)
 }
 
+#[derive(Debug, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct TempOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    /// Directory to create the entry in, defaults to `baseDir` or the temp directory.
+    dir: Option<SafeFilePath>,
+    prefix: Option<String>,
+    suffix: Option<String>,
+    /// Delete the entry when its resource is closed.
+    #[serde(default = "crate::default_true")]
+    auto_delete: bool,
+}
+
+impl Default for TempOptions {
+    fn default() -> Self {
+        Self {
+            base: BaseOptions::default(),
+            dir: None,
+            prefix: None,
+            suffix: None,
+            auto_delete: true,
+        }
+    }
+}
+
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct TempEntry {
+    rid: ResourceId,
+    path: PathBuf,
+}
+
+/// Resolves a unique path for a temporary entry and checks it against the scope.
+fn resolve_temp_path<R: Runtime>(
+    webview: &Webview<R>,
+    global_scope: &GlobalScope<Entry>,
+    command_scope: &CommandScope<Entry>,
+    options: &TempOptions,
+) -> CommandResult<PathBuf> {
+    let dir = match (&options.dir, options.base.base_dir) {
+        (Some(dir), Some(base_dir)) => {
+            webview.path().resolve(dir.clone().into_path()?, base_dir)?
+        }
+        (Some(dir), None) => dir.clone().into_path()?,
+        (None, Some(base_dir)) => webview.path().resolve("", base_dir)?,
+        (None, None) => webview.path().temp_dir()?,
+    };
+
+    let prefix = options.prefix.as_deref().unwrap_or_default();
+    let suffix = options.suffix.as_deref().unwrap_or_default();
+    if [prefix, suffix]
+        .iter()
+        .any(|part| part.contains(['/', '\\']))
+    {
+        return Err(Error::InvalidInput(
+            "temp file prefix and suffix must not contain path separators".into(),
+        )
+        .into());
+    }
+
+    let path = dir.join(format!("{prefix}{}{suffix}", uuid::Uuid::new_v4().simple()));
+
+    let scope = resolve_scope(webview, global_scope, command_scope)?;
+    if scope.is_allowed(&path) {
+        Ok(path)
+    } else {
+        Err(Error::PathForbidden(path).into())
+    }
+}
+
+/// Creates a new temporary file with a unique name, opened for reading and writing.
+#[tauri::command]
+pub fn make_temp_file<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    options: Option<TempOptions>,
+) -> CommandResult<TempEntry> {
+    let options = options.unwrap_or_default();
+    let path = resolve_temp_path(&webview, &global_scope, &command_scope, &options)?;
+
+    let file = std::fs::OpenOptions::from(crate::OpenOptions {
+        read: true,
+        write: true,
+        create_new: true,
+        // only readable by the current user
+        mode: Some(0o600),
+        ..Default::default()
+    })
+    .open(&path)
+    .map_err(|e| {
+        CommandError::fs(
+            e,
+            "open",
+            Some(path.clone()),
+            format!(
+                "failed to create temporary file at path: {}",
+                path.display()
+            ),
+        )
+    })?;
+
+    let temp_path = options.auto_delete.then(|| TempPath {
+        path: path.clone(),
+        is_dir: false,
+    });
+    let rid = webview
+        .resources_table()
+        .add(StdFileResource::temp(file, temp_path));
+
+    Ok(TempEntry { rid, path })
+}
+
+/// Creates a new temporary directory with a unique name.
+#[tauri::command]
+pub fn make_temp_dir<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    options: Option<TempOptions>,
+) -> CommandResult<TempEntry> {
+    let options = options.unwrap_or_default();
+    let path = resolve_temp_path(&webview, &global_scope, &command_scope, &options)?;
+
+    let mut builder = std::fs::DirBuilder::new();
+    #[cfg(unix)]
+    {
+        use std::os::unix::fs::DirBuilderExt;
+        // only accessible by the current user
+        builder.mode(0o700);
+    }
+    builder.create(&path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "mkdir",
+            Some(path.clone()),
+            format!(
+                "failed to create temporary directory at path: {}",
+                path.display()
+            ),
+        )
+    })?;
+
+    let temp_path = options.auto_delete.then(|| TempPath {
+        path: path.clone(),
+        is_dir: true,
+    });
+    let rid = webview.resources_table().add(TempDirResource(temp_path));
+
+    Ok(TempEntry { rid, path })
+}
+
 #[tauri::command]
 pub fn close<R: Runtime>(webview: Webview<R>, rid: ResourceId) -> CommandResult<()> {
     webview.resources_table().close(rid).map_err(Into::into)
@@ -186,128 +433,1974 @@ pub async fn copy_file<R: Runtime>(
         options.as_ref().and_then(|o| o.to_path_base_dir),
     )?;
     std::fs::copy(&resolved_from_path, &resolved_to_path).map_err(|e| {
-        format!(
-            "failed to copy file from path: {}, to path: {} with error: {e}",
-            resolved_from_path.display(),
-            resolved_to_path.display()
+        CommandError::fs(
+            e,
+            "copy_file",
+            Some(resolved_from_path.clone()),
+            format!(
+                "failed to copy file from path: {}, to path: {}",
+                resolved_from_path.display(),
+                resolved_to_path.display()
+            ),
         )
     })?;
     Ok(())
 }
 
-#[derive(Debug, Clone, Deserialize)]
-pub struct MkdirOptions {
-    #[serde(flatten)]
-    base: BaseOptions,
-    #[allow(unused)]
-    mode: Option<u32>,
-    recursive: Option<bool>,
+#[derive(Debug, Clone, Default, Deserialize)]
+pub struct EntryFilter {
+    #[serde(default, rename = "match")]
+    match_patterns: Vec<String>,
+    #[serde(default, rename = "skip")]
+    skip_patterns: Vec<String>,
+}
+
+#[derive(Debug, Clone, Default, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct CopyDirOptions {
+    from_path_base_dir: Option<BaseDirectory>,
+    to_path_base_dir: Option<BaseDirectory>,
+    #[serde(default)]
+    overwrite: bool,
+    #[serde(default)]
+    filter: EntryFilter,
+    #[serde(default)]
+    preserve_timestamps: bool,
+    #[serde(default)]
+    dereference: bool,
+}
+
+#[derive(Debug, Clone, Serialize)]
+#[serde(tag = "event", content = "data")]
+pub enum CopyDirEvent {
+    /// The copy has been planned and is about to start.
+    /// Closing `rid` cancels the copy.
+    #[serde(rename_all = "camelCase")]
+    Started {
+        rid: ResourceId,
+        total_bytes: u64,
+        total_files: u64,
+    },
+    /// A file or symlink has been copied.
+    #[serde(rename_all = "camelCase")]
+    Progress {
+        bytes_copied: u64,
+        total_bytes: u64,
+        files_copied: u64,
+        total_files: u64,
+        current_path: PathBuf,
+    },
+}
+
+enum CopyKind {
+    Dir,
+    File(u64),
+    Symlink(PathBuf),
+}
+
+struct CopyEntry {
+    from: PathBuf,
+    to: PathBuf,
+    kind: CopyKind,
+}
+
+/// Collects everything that needs to be copied before copying starts,
+/// so the progress can be reported against a known total.
+struct CopyPlan<'a> {
+    scope: &'a tauri::scope::fs::Scope,
+    root: &'a Path,
+    match_patterns: Vec<glob::Pattern>,
+    skip_patterns: Vec<glob::Pattern>,
+    dereference: bool,
+    visited: HashSet<PathBuf>,
+    entries: Vec<CopyEntry>,
+    total_bytes: u64,
+    total_files: u64,
+}
+
+impl CopyPlan<'_> {
+    fn add_dir(&mut self, from: &Path, to: &Path) -> CommandResult<()> {
+        if self.dereference {
+            // protect against symlink cycles
+            if let Ok(canonical) = from.canonicalize() {
+                if !self.visited.insert(canonical) {
+                    return Ok(());
+                }
+            }
+        }
+
+        let read_dir_err = |e: std::io::Error| {
+            CommandError::fs(
+                e,
+                "read_dir",
+                Some(from.to_path_buf()),
+                format!("failed to read directory at path: {}", from.display()),
+            )
+        };
+
+        for entry in std::fs::read_dir(from).map_err(read_dir_err)? {
+            let entry = entry.map_err(read_dir_err)?;
+            let from = entry.path();
+            let to = to.join(entry.file_name());
+
+            if !self.scope.is_allowed(&from) {
+                continue;
+            }
+
+            let name = entry.file_name().to_string_lossy().to_string();
+            let relative_path = from.strip_prefix(self.root).unwrap_or(&from);
+            if matches_any(&self.skip_patterns, &name, relative_path) {
+                continue;
+            }
+
+            if !self.scope.is_allowed(&to) {
+                return Err(Error::PathForbidden(to).into());
+            }
+
+            let metadata = if self.dereference {
+                std::fs::metadata(&from)
+            } else {
+                std::fs::symlink_metadata(&from)
+            }
+            .map_err(|e| {
+                CommandError::fs(
+                    e,
+                    if self.dereference { "stat" } else { "lstat" },
+                    Some(from.clone()),
+                    format!("failed to get metadata of path: {}", from.display()),
+                )
+            })?;
+
+            if metadata.is_dir() {
+                self.entries.push(CopyEntry {
+                    from: from.clone(),
+                    to: to.clone(),
+                    kind: CopyKind::Dir,
+                });
+                self.add_dir(&from, &to)?;
+                continue;
+            }
+
+            if !self.match_patterns.is_empty()
+                && !matches_any(&self.match_patterns, &name, relative_path)
+            {
+                continue;
+            }
+
+            let kind = if metadata.file_type().is_symlink() {
+                let target = std::fs::read_link(&from).map_err(|e| {
+                    CommandError::fs(
+                        e,
+                        "read_link",
+                        Some(from.clone()),
+                        format!("failed to read link at path: {}", from.display()),
+                    )
+                })?;
+                check_symlink_target(&|path| self.scope.is_allowed(path), &to, &target)?;
+                CopyKind::Symlink(target)
+            } else {
+                self.total_bytes += metadata.len();
+                CopyKind::File(metadata.len())
+            };
+            self.total_files += 1;
+            self.entries.push(CopyEntry { from, to, kind });
+        }
+
+        Ok(())
+    }
+}
+
+/// Checks that `is_allowed`, the scope check, allows the target of a symlink at `path` pointing to `target`,
+/// both as written and with any intermediate symlinks followed.
+fn check_symlink_target(
+    is_allowed: &dyn Fn(&Path) -> bool,
+    path: &Path,
+    target: &Path,
+) -> CommandResult<()> {
+    let link_dir = path.parent().unwrap_or(Path::new(""));
+    let link_dir = dunce::canonicalize(link_dir).unwrap_or_else(|_| link_dir.to_path_buf());
+    let resolved_target = normalize_lexically(&link_dir.join(target));
+
+    for candidate in [
+        Some(resolved_target.clone()),
+        dunce::canonicalize(&resolved_target).ok(),
+    ]
+    .into_iter()
+    .flatten()
+    {
+        if !is_allowed(&candidate) {
+            return Err(Error::PathForbidden(candidate).into());
+        }
+    }
+    Ok(())
+}
+
+/// Creates a symlink at `path` pointing to `target`.
+///
+/// `kind` only matters on Windows, where it is detected from the target when not set.
+fn create_symlink(target: &Path, path: &Path, kind: Option<SymlinkType>) -> std::io::Result<()> {
+    #[cfg(unix)]
+    {
+        let _ = kind;
+        std::os::unix::fs::symlink(target, path)
+    }
+    #[cfg(not(unix))]
+    {
+        let kind = kind.unwrap_or_else(|| {
+            // relative targets are resolved against the directory of the link
+            let is_dir = path
+                .parent()
+                .map(|parent| parent.join(target))
+                .unwrap_or_else(|| target.to_path_buf())
+                .is_dir();
+            if is_dir {
+                SymlinkType::Dir
+            } else {
+                SymlinkType::File
+            }
+        });
+        match kind {
+            SymlinkType::Dir => std::os::windows::fs::symlink_dir(target, path),
+            SymlinkType::File => std::os::windows::fs::symlink_file(target, path),
+        }
+    }
+}
+
+/// Sets the access and modification times of `to` to those of `from`.
+///
+/// `to` is not opened, copies of read-only files can't be opened for writing.
+fn copy_timestamps(from: &Path, to: &Path) -> std::io::Result<()> {
+    let metadata = std::fs::metadata(from)?;
+    filetime::set_file_times(
+        to,
+        filetime::FileTime::from_last_access_time(&metadata),
+        filetime::FileTime::from_last_modification_time(&metadata),
+    )
+}
+
+fn already_exists(syscall: &'static str, path: &Path) -> CommandError {
+    CommandError::fs(
+        std::io::ErrorKind::AlreadyExists.into(),
+        syscall,
+        Some(path.to_path_buf()),
+        format!("failed to copy to path: {}", path.display()),
+    )
 }
 
 #[tauri::command]
-pub fn mkdir<R: Runtime>(
+pub async fn copy_dir<R: Runtime>(
     webview: Webview<R>,
     global_scope: GlobalScope<Entry>,
     command_scope: CommandScope<Entry>,
-    path: SafeFilePath,
-    options: Option<MkdirOptions>,
+    from_path: SafeFilePath,
+    to_path: SafeFilePath,
+    options: Option<CopyDirOptions>,
+    on_progress: Channel<CopyDirEvent>,
 ) -> CommandResult<()> {
-    let resolved_path = resolve_path(
+    let options = options.unwrap_or_default();
+
+    let resolved_from_path = resolve_path(
         &webview,
         &global_scope,
         &command_scope,
-        path,
-        options.as_ref().and_then(|o| o.base.base_dir),
+        from_path,
+        options.from_path_base_dir,
+    )?;
+    let resolved_to_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        to_path,
+        options.to_path_base_dir,
     )?;
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
 
-    let mut builder = std::fs::DirBuilder::new();
-    builder.recursive(options.as_ref().and_then(|o| o.recursive).unwrap_or(false));
+    let mut plan = CopyPlan {
+        scope: &scope,
+        root: &resolved_from_path,
+        match_patterns: compile_patterns(&options.filter.match_patterns)?,
+        skip_patterns: compile_patterns(&options.filter.skip_patterns)?,
+        dereference: options.dereference,
+        visited: HashSet::new(),
+        entries: Vec::new(),
+        total_bytes: 0,
+        total_files: 0,
+    };
+    plan.add_dir(&resolved_from_path, &resolved_to_path)?;
 
-    #[cfg(unix)]
-    {
-        use std::os::unix::fs::DirBuilderExt;
-        let mode = options.as_ref().and_then(|o| o.mode).unwrap_or(0o777) & 0o777;
-        builder.mode(mode);
-    }
+    let (rid, cancellation) = CancellationResource::register(&webview);
+    let result = (|| -> CommandResult<()> {
+        on_progress.send(CopyDirEvent::Started {
+            rid,
+            total_bytes: plan.total_bytes,
+            total_files: plan.total_files,
+        })?;
 
-    builder
-        .create(&resolved_path)
-        .map_err(|e| {
-            format!(
-                "failed to create directory at path: {} with error: {e}",
-                resolved_path.display()
+        std::fs::create_dir_all(&resolved_to_path).map_err(|e| {
+            CommandError::fs(
+                e,
+                "mkdir",
+                Some(resolved_to_path.clone()),
+                format!(
+                    "failed to create directory at path: {}",
+                    resolved_to_path.display()
+                ),
             )
-        })
-        .map_err(Into::into)
+        })?;
+
+        let mut bytes_copied = 0;
+        let mut files_copied = 0;
+        for entry in plan.entries {
+            if cancellation.is_cancelled() {
+                return Err(Error::Cancelled.into());
+            }
+
+            match entry.kind {
+                CopyKind::Dir => {
+                    std::fs::create_dir_all(&entry.to).map_err(|e| {
+                        CommandError::fs(
+                            e,
+                            "mkdir",
+                            Some(entry.to.clone()),
+                            format!("failed to create directory at path: {}", entry.to.display()),
+                        )
+                    })?;
+                    continue;
+                }
+                CopyKind::File(len) => {
+                    if !options.overwrite && entry.to.exists() {
+                        return Err(already_exists("copy_file", &entry.to));
+                    }
+                    std::fs::copy(&entry.from, &entry.to).map_err(|e| {
+                        CommandError::fs(
+                            e,
+                            "copy_file",
+                            Some(entry.from.clone()),
+                            format!(
+                                "failed to copy file from path: {}, to path: {}",
+                                entry.from.display(),
+                                entry.to.display()
+                            ),
+                        )
+                    })?;
+                    if options.preserve_timestamps {
+                        copy_timestamps(&entry.from, &entry.to).map_err(|e| {
+                            CommandError::fs(
+                                e,
+                                "utimes",
+                                Some(entry.to.clone()),
+                                format!("failed to set timestamps of path: {}", entry.to.display()),
+                            )
+                        })?;
+                    }
+                    bytes_copied += len;
+                }
+                CopyKind::Symlink(target) => {
+                    if std::fs::symlink_metadata(&entry.to).is_ok() {
+                        if !options.overwrite {
+                            return Err(already_exists("symlink", &entry.to));
+                        }
+                        let _ = std::fs::remove_file(&entry.to);
+                    }
+                    create_symlink(&target, &entry.to, None).map_err(|e| {
+                        CommandError::fs(
+                            e,
+                            "symlink",
+                            Some(entry.to.clone()),
+                            format!("failed to create symlink at path: {}", entry.to.display()),
+                        )
+                    })?;
+                }
+            }
+
+            files_copied += 1;
+            on_progress.send(CopyDirEvent::Progress {
+                bytes_copied,
+                total_bytes: plan.total_bytes,
+                files_copied,
+                total_files: plan.total_files,
+                current_path: entry.to,
+            })?;
+        }
+
+        Ok(())
+    })();
+
+    let _ = webview.resources_table().take::<CancellationResource>(rid);
+
+    result
 }
 
-#[derive(Debug, Serialize)]
+#[derive(Debug, Default, Clone, Copy, Deserialize)]
+#[serde(rename_all = "lowercase")]
+pub enum DiffCompare {
+    /// Files differ when their size or modification time differ.
+    #[default]
+    Mtime,
+    /// Files differ when their size differs.
+    Size,
+    /// Files differ when their size or contents differ.
+    Hash,
+}
+
+#[derive(Debug, Default, Clone, Deserialize)]
 #[serde(rename_all = "camelCase")]
-#[non_exhaustive]
-pub struct DirEntry {
-    pub name: Option<String>,
-    pub is_directory: bool,
-    pub is_file: bool,
-    pub is_symlink: bool,
+pub struct DiffDirsOptions {
+    from_path_base_dir: Option<BaseDirectory>,
+    to_path_base_dir: Option<BaseDirectory>,
+    #[serde(default)]
+    compare: DiffCompare,
+    #[serde(default)]
+    ignore: Vec<String>,
 }
 
-fn read_dir_inner<P: AsRef<Path>>(path: P) -> crate::Result<Vec<DirEntry>> {
-    let mut files_and_dirs: Vec<DirEntry> = vec![];
-    for entry in std::fs::read_dir(path)? {
-        let path = entry?.path();
-        let file_type = path.metadata()?.file_type();
-        files_and_dirs.push(DirEntry {
-            is_directory: file_type.is_dir(),
-            is_file: file_type.is_file(),
-            is_symlink: std::fs::symlink_metadata(&path)
-                .map(|md| md.file_type().is_symlink())
-                .unwrap_or(false),
-            name: path
-                .file_name()
-                .map(|name| name.to_string_lossy())
-                .map(|name| name.to_string()),
-        });
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct DiffEntry {
+    /// The path relative to the compared directories.
+    path: PathBuf,
+    is_directory: bool,
+    is_file: bool,
+    is_symlink: bool,
+}
+
+impl DiffEntry {
+    fn new(path: &Path, kind: &CopyKind) -> Self {
+        Self {
+            path: path.to_path_buf(),
+            is_directory: matches!(kind, CopyKind::Dir),
+            is_file: matches!(kind, CopyKind::File(_)),
+            is_symlink: matches!(kind, CopyKind::Symlink(_)),
+        }
+    }
+}
+
+#[derive(Debug, Default, Clone, Serialize)]
+pub struct DirDiff {
+    /// Entries that only exist in `to_path`.
+    added: Vec<DiffEntry>,
+    /// Entries that only exist in `from_path`.
+    removed: Vec<DiffEntry>,
+    /// Entries that exist on both sides but differ. Directories never differ, unless one side is not a directory.
+    changed: Vec<DiffEntry>,
+}
+
+struct SnapshotEntry {
+    kind: CopyKind,
+    mtime: Option<u64>,
+}
+
+/// The entries of a directory tree keyed by their path relative to the tree root.
+///
+/// Paths are ordered by component, so directories come before their contents.
+type DirSnapshot = BTreeMap<PathBuf, SnapshotEntry>;
+
+fn snapshot_dir(
+    scope: &tauri::scope::fs::Scope,
+    root: &Path,
+    dir: &Path,
+    ignore_patterns: &[glob::Pattern],
+    snapshot: &mut DirSnapshot,
+) -> CommandResult<()> {
+    let read_dir_err = |e: std::io::Error| {
+        CommandError::fs(
+            e,
+            "read_dir",
+            Some(dir.to_path_buf()),
+            format!("failed to read directory at path: {}", dir.display()),
+        )
+    };
+
+    for entry in std::fs::read_dir(dir).map_err(read_dir_err)? {
+        let entry = entry.map_err(read_dir_err)?;
+        let path = entry.path();
+
+        if !scope.is_allowed(&path) {
+            continue;
+        }
+
+        let name = entry.file_name().to_string_lossy().to_string();
+        let relative_path = path.strip_prefix(root).unwrap_or(&path).to_path_buf();
+        if matches_any(ignore_patterns, &name, &relative_path) {
+            continue;
+        }
+
+        let metadata = std::fs::symlink_metadata(&path).map_err(|e| {
+            CommandError::fs(
+                e,
+                "lstat",
+                Some(path.clone()),
+                format!("failed to get metadata of path: {}", path.display()),
+            )
+        })?;
+
+        let kind = if metadata.is_dir() {
+            CopyKind::Dir
+        } else if metadata.file_type().is_symlink() {
+            let target = std::fs::read_link(&path).map_err(|e| {
+                CommandError::fs(
+                    e,
+                    "read_link",
+                    Some(path.clone()),
+                    format!("failed to read link at path: {}", path.display()),
+                )
+            })?;
+            CopyKind::Symlink(target)
+        } else {
+            CopyKind::File(metadata.len())
+        };
+        let is_dir = matches!(kind, CopyKind::Dir);
+
+        snapshot.insert(
+            relative_path,
+            SnapshotEntry {
+                kind,
+                mtime: to_msec(metadata.modified()),
+            },
+        );
+
+        if is_dir {
+            snapshot_dir(scope, root, &path, ignore_patterns, snapshot)?;
+        }
+    }
+
+    Ok(())
+}
+
+fn hash_path(path: &Path) -> CommandResult<Vec<u8>> {
+    let file = File::open(path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "open",
+            Some(path.to_path_buf()),
+            format!("failed to open file at path: {}", path.display()),
+        )
+    })?;
+    let options = HashOptions {
+        // the digests are only compared with each other
+        #[cfg(feature = "blake3")]
+        algorithm: HashAlgorithm::Blake3,
+        #[cfg(not(feature = "blake3"))]
+        algorithm: HashAlgorithm::Sha256,
+        range: HashRange::default(),
+    };
+    hash_range(&file, Some(path), &options, None)
+}
+
+/// Whether the entry at `relative_path` differs between the `from` and `to` trees.
+fn entries_differ(
+    compare: DiffCompare,
+    relative_path: &Path,
+    (from_root, from): (&Path, &SnapshotEntry),
+    (to_root, to): (&Path, &SnapshotEntry),
+) -> CommandResult<bool> {
+    let differ = match (&from.kind, &to.kind) {
+        (CopyKind::Dir, CopyKind::Dir) => false,
+        (CopyKind::File(from_len), CopyKind::File(to_len)) => {
+            from_len != to_len
+                || match compare {
+                    DiffCompare::Mtime => from.mtime != to.mtime,
+                    DiffCompare::Size => false,
+                    DiffCompare::Hash => {
+                        hash_path(&from_root.join(relative_path))?
+                            != hash_path(&to_root.join(relative_path))?
+                    }
+                }
+        }
+        (CopyKind::Symlink(from_target), CopyKind::Symlink(to_target)) => from_target != to_target,
+        _ => true,
+    };
+    Ok(differ)
+}
+
+/// Compares the trees of two directories. Symlinks are not followed.
+#[tauri::command]
+pub async fn diff_dirs<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    from_path: SafeFilePath,
+    to_path: SafeFilePath,
+    options: Option<DiffDirsOptions>,
+) -> CommandResult<DirDiff> {
+    let options = options.unwrap_or_default();
+
+    let resolved_from_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        from_path,
+        options.from_path_base_dir,
+    )?;
+    let resolved_to_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        to_path,
+        options.to_path_base_dir,
+    )?;
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
+    let ignore_patterns = compile_patterns(&options.ignore)?;
+
+    let mut from = DirSnapshot::new();
+    snapshot_dir(
+        &scope,
+        &resolved_from_path,
+        &resolved_from_path,
+        &ignore_patterns,
+        &mut from,
+    )?;
+    let mut to = DirSnapshot::new();
+    snapshot_dir(
+        &scope,
+        &resolved_to_path,
+        &resolved_to_path,
+        &ignore_patterns,
+        &mut to,
+    )?;
+
+    let mut diff = DirDiff::default();
+    for (path, to_entry) in &to {
+        match from.get(path) {
+            None => diff.added.push(DiffEntry::new(path, &to_entry.kind)),
+            Some(from_entry) => {
+                if entries_differ(
+                    options.compare,
+                    path,
+                    (&resolved_from_path, from_entry),
+                    (&resolved_to_path, to_entry),
+                )? {
+                    diff.changed.push(DiffEntry::new(path, &to_entry.kind));
+                }
+            }
+        }
+    }
+    for (path, from_entry) in &from {
+        if !to.contains_key(path) {
+            diff.removed.push(DiffEntry::new(path, &from_entry.kind));
+        }
+    }
+
+    Ok(diff)
+}
+
+#[derive(Debug, Default, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct SyncDirOptions {
+    from_path_base_dir: Option<BaseDirectory>,
+    to_path_base_dir: Option<BaseDirectory>,
+    #[serde(default)]
+    compare: DiffCompare,
+    #[serde(default)]
+    ignore: Vec<String>,
+    #[serde(default)]
+    delete: bool,
+    #[serde(default)]
+    dry_run: bool,
+}
+
+#[derive(Debug, Clone, Copy, Serialize)]
+#[serde(rename_all = "lowercase")]
+pub enum SyncActionKind {
+    Mkdir,
+    Copy,
+    Symlink,
+    Remove,
+}
+
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct SyncAction {
+    action: SyncActionKind,
+    /// The path relative to the synced directories.
+    path: PathBuf,
+}
+
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct SyncDirProgress {
+    #[serde(flatten)]
+    action: SyncAction,
+    actions_done: usize,
+    total_actions: usize,
+}
+
+fn apply_sync_action(from_root: &Path, to_root: &Path, action: &SyncAction) -> CommandResult<()> {
+    let from = from_root.join(&action.path);
+    let to = to_root.join(&action.path);
+
+    match action.action {
+        SyncActionKind::Mkdir => std::fs::create_dir(&to).map_err(|e| {
+            CommandError::fs(
+                e,
+                "mkdir",
+                Some(to.clone()),
+                format!("failed to create directory at path: {}", to.display()),
+            )
+        }),
+        SyncActionKind::Copy => {
+            std::fs::copy(&from, &to).map_err(|e| {
+                CommandError::fs(
+                    e,
+                    "copy_file",
+                    Some(from.clone()),
+                    format!(
+                        "failed to copy file from path: {}, to path: {}",
+                        from.display(),
+                        to.display()
+                    ),
+                )
+            })?;
+            // keep the modification times equal so the next `mtime` comparison sees no change
+            copy_timestamps(&from, &to).map_err(|e| {
+                CommandError::fs(
+                    e,
+                    "utimes",
+                    Some(to.clone()),
+                    format!("failed to set timestamps of path: {}", to.display()),
+                )
+            })
+        }
+        SyncActionKind::Symlink => {
+            let target = std::fs::read_link(&from).map_err(|e| {
+                CommandError::fs(
+                    e,
+                    "read_link",
+                    Some(from.clone()),
+                    format!("failed to read link at path: {}", from.display()),
+                )
+            })?;
+            create_symlink(&target, &to, None).map_err(|e| {
+                CommandError::fs(
+                    e,
+                    "symlink",
+                    Some(to.clone()),
+                    format!("failed to create symlink at path: {}", to.display()),
+                )
+            })
+        }
+        SyncActionKind::Remove => {
+            let is_dir = std::fs::symlink_metadata(&to)
+                .map(|m| m.is_dir())
+                .unwrap_or(false);
+            if is_dir {
+                std::fs::remove_dir_all(&to)
+            } else {
+                std::fs::remove_file(&to)
+            }
+            .map_err(|e| {
+                CommandError::fs(
+                    e,
+                    "remove",
+                    Some(to.clone()),
+                    format!("failed to remove path: {}", to.display()),
+                )
+            })
+        }
+    }
+}
+
+/// Makes `to_path` mirror `from_path` and returns the actions that were applied,
+/// or that would be applied when `dry_run` is set.
+#[tauri::command]
+pub async fn sync_dir<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    from_path: SafeFilePath,
+    to_path: SafeFilePath,
+    options: Option<SyncDirOptions>,
+    on_progress: Option<Channel<SyncDirProgress>>,
+) -> CommandResult<Vec<SyncAction>> {
+    let options = options.unwrap_or_default();
+
+    let resolved_from_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        from_path,
+        options.from_path_base_dir,
+    )?;
+    let resolved_to_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        to_path,
+        options.to_path_base_dir,
+    )?;
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
+    let ignore_patterns = compile_patterns(&options.ignore)?;
+
+    let mut from = DirSnapshot::new();
+    snapshot_dir(
+        &scope,
+        &resolved_from_path,
+        &resolved_from_path,
+        &ignore_patterns,
+        &mut from,
+    )?;
+    let to_exists = std::fs::symlink_metadata(&resolved_to_path).is_ok();
+    let mut to = DirSnapshot::new();
+    if to_exists {
+        snapshot_dir(
+            &scope,
+            &resolved_to_path,
+            &resolved_to_path,
+            &ignore_patterns,
+            &mut to,
+        )?;
+    }
+
+    let mut actions = Vec::new();
+    if options.delete {
+        // contents before their directories
+        for path in to.keys().rev() {
+            if !from.contains_key(path) {
+                actions.push(SyncAction {
+                    action: SyncActionKind::Remove,
+                    path: path.clone(),
+                });
+            }
+        }
+    }
+    for (path, from_entry) in &from {
+        if !scope.is_allowed(resolved_to_path.join(path)) {
+            return Err(Error::PathForbidden(resolved_to_path.join(path)).into());
+        }
+        // same as `copy_dir`, links can't be used to reach outside of the scope
+        if let CopyKind::Symlink(target) = &from_entry.kind {
+            check_symlink_target(
+                &|path| scope.is_allowed(path),
+                &resolved_to_path.join(path),
+                target,
+            )?;
+        }
+
+        if let Some(to_entry) = to.get(path) {
+            if !entries_differ(
+                options.compare,
+                path,
+                (&resolved_from_path, from_entry),
+                (&resolved_to_path, to_entry),
+            )? {
+                continue;
+            }
+            // files are overwritten in place, anything else is replaced
+            let overwrite = matches!(
+                (&from_entry.kind, &to_entry.kind),
+                (CopyKind::File(_), CopyKind::File(_))
+            );
+            if !overwrite {
+                actions.push(SyncAction {
+                    action: SyncActionKind::Remove,
+                    path: path.clone(),
+                });
+            }
+        }
+
+        actions.push(SyncAction {
+            action: match from_entry.kind {
+                CopyKind::Dir => SyncActionKind::Mkdir,
+                CopyKind::File(_) => SyncActionKind::Copy,
+                CopyKind::Symlink(_) => SyncActionKind::Symlink,
+            },
+            path: path.clone(),
+        });
+    }
+
+    if !options.dry_run && !to_exists {
+        std::fs::create_dir_all(&resolved_to_path).map_err(|e| {
+            CommandError::fs(
+                e,
+                "mkdir",
+                Some(resolved_to_path.clone()),
+                format!(
+                    "failed to create directory at path: {}",
+                    resolved_to_path.display()
+                ),
+            )
+        })?;
+    }
+
+    for (i, action) in actions.iter().enumerate() {
+        if !options.dry_run {
+            apply_sync_action(&resolved_from_path, &resolved_to_path, action)?;
+        }
+        if let Some(on_progress) = &on_progress {
+            on_progress.send(SyncDirProgress {
+                action: action.clone(),
+                actions_done: i + 1,
+                total_actions: actions.len(),
+            })?;
+        }
+    }
+
+    Ok(actions)
+}
+
+#[cfg(feature = "archive")]
+#[derive(Debug, Default, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct CreateArchiveOptions {
+    base_dir: Option<BaseDirectory>,
+    dest_base_dir: Option<BaseDirectory>,
+    format: Option<ArchiveFormat>,
+    compression_level: Option<u32>,
+}
+
+#[cfg(feature = "archive")]
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ArchiveProgress {
+    entries_done: u64,
+    /// Only known when creating an archive.
+    total_entries: Option<u64>,
+    bytes_done: u64,
+    /// Only known when creating an archive.
+    total_bytes: Option<u64>,
+    /// The path of the entry in the archive.
+    current_path: String,
+}
+
+/// Collects `path` and, for directories, everything below it that is allowed by the scope.
+#[cfg(feature = "archive")]
+fn collect_archive_entries(
+    scope: &tauri::scope::fs::Scope,
+    path: &Path,
+    name: String,
+    exclude: &Path,
+    entries: &mut Vec<(String, PathBuf, std::fs::Metadata)>,
+) -> CommandResult<()> {
+    let metadata = std::fs::symlink_metadata(path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "lstat",
+            Some(path.to_path_buf()),
+            format!("failed to get metadata of path: {}", path.display()),
+        )
+    })?;
+    let is_dir = metadata.is_dir();
+    entries.push((name.clone(), path.to_path_buf(), metadata));
+
+    if is_dir {
+        let read_dir_err = |e: std::io::Error| {
+            CommandError::fs(
+                e,
+                "read_dir",
+                Some(path.to_path_buf()),
+                format!("failed to read directory at path: {}", path.display()),
+            )
+        };
+        for entry in std::fs::read_dir(path).map_err(read_dir_err)? {
+            let entry = entry.map_err(read_dir_err)?;
+            let child = entry.path();
+            // never add the archive to itself
+            if child == exclude || !scope.is_allowed(&child) {
+                continue;
+            }
+            let child_name = format!("{name}/{}", entry.file_name().to_string_lossy());
+            collect_archive_entries(scope, &child, child_name, exclude, entries)?;
+        }
+    }
+
+    Ok(())
+}
+
+/// Creates an archive at `dest` containing `paths`, each stored under its file name.
+///
+/// The format defaults to the one matching the extension of `dest`, or zip.
+#[cfg(feature = "archive")]
+#[tauri::command]
+pub async fn create_archive<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    paths: Vec<SafeFilePath>,
+    dest: SafeFilePath,
+    options: Option<CreateArchiveOptions>,
+    on_progress: Option<Channel<ArchiveProgress>>,
+) -> CommandResult<()> {
+    let options = options.unwrap_or_default();
+
+    let resolved_dest = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        dest,
+        options.dest_base_dir,
+    )?;
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
+
+    let mut entries = Vec::new();
+    for path in paths {
+        let resolved_path = resolve_path(
+            &webview,
+            &global_scope,
+            &command_scope,
+            path,
+            options.base_dir,
+        )?;
+        let name = resolved_path
+            .file_name()
+            .ok_or_else(|| {
+                Error::InvalidInput(
+                    format!(
+                        "cannot add path without a file name to an archive: {}",
+                        resolved_path.display()
+                    )
+                    .into(),
+                )
+            })?
+            .to_string_lossy()
+            .into_owned();
+        collect_archive_entries(&scope, &resolved_path, name, &resolved_dest, &mut entries)?;
+    }
+
+    let total_entries = entries.len() as u64;
+    let total_bytes = entries
+        .iter()
+        .filter(|(_, _, metadata)| metadata.is_file())
+        .map(|(_, _, metadata)| metadata.len())
+        .sum();
+
+    let format = options
+        .format
+        .or_else(|| ArchiveFormat::from_extension(&resolved_dest))
+        .unwrap_or(ArchiveFormat::Zip);
+    let file = File::create(&resolved_dest).map_err(|e| {
+        CommandError::fs(
+            e,
+            "open",
+            Some(resolved_dest.clone()),
+            format!("failed to create file at path: {}", resolved_dest.display()),
+        )
+    })?;
+
+    let result = (|| -> CommandResult<()> {
+        let mut writer = ArchiveWriter::new(file, format, options.compression_level);
+        let mut bytes_done = 0;
+        for (i, (name, path, metadata)) in entries.into_iter().enumerate() {
+            writer.append(&name, &path, &metadata).map_err(|e| {
+                CommandError::fs(
+                    e,
+                    "create_archive",
+                    Some(path.clone()),
+                    format!(
+                        "failed to add path: {}, to archive: {}",
+                        path.display(),
+                        resolved_dest.display()
+                    ),
+                )
+            })?;
+
+            if metadata.is_file() {
+                bytes_done += metadata.len();
+            }
+            if let Some(on_progress) = &on_progress {
+                on_progress.send(ArchiveProgress {
+                    entries_done: i as u64 + 1,
+                    total_entries: Some(total_entries),
+                    bytes_done,
+                    total_bytes: Some(total_bytes),
+                    current_path: name,
+                })?;
+            }
+        }
+
+        writer.finish().map_err(|e| {
+            CommandError::fs(
+                e,
+                "write",
+                Some(resolved_dest.clone()),
+                format!(
+                    "failed to write archive at path: {}",
+                    resolved_dest.display()
+                ),
+            )
+        })
+    })();
+
+    // don't leave a truncated archive behind
+    if result.is_err() {
+        let _ = std::fs::remove_file(&resolved_dest);
+    }
+
+    result
+}
+
+#[cfg(feature = "archive")]
+#[derive(Debug, Default, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ListArchiveOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    format: Option<ArchiveFormat>,
+}
+
+/// Opens an archive and detects its format unless `format` is set.
+#[cfg(feature = "archive")]
+fn open_archive<R: Runtime>(
+    webview: &Webview<R>,
+    global_scope: &GlobalScope<Entry>,
+    command_scope: &CommandScope<Entry>,
+    path: SafeFilePath,
+    base_dir: Option<BaseDirectory>,
+    format: Option<ArchiveFormat>,
+) -> CommandResult<(File, PathBuf, ArchiveFormat)> {
+    let (mut file, path) = resolve_file(
+        webview,
+        global_scope,
+        command_scope,
+        path,
+        OpenOptions {
+            base: BaseOptions { base_dir },
+            options: crate::OpenOptions {
+                read: true,
+                ..Default::default()
+            },
+        },
+    )?;
+    let format = match format {
+        Some(format) => format,
+        None => ArchiveFormat::detect(&mut file).map_err(|e| {
+            CommandError::fs(
+                e,
+                "read",
+                Some(path.clone()),
+                format!("failed to read archive at path: {}", path.display()),
+            )
+        })?,
+    };
+    Ok((file, path, format))
+}
+
+/// Attaches the archive path to errors that came from reading the archive itself.
+#[cfg(feature = "archive")]
+fn archive_read_error(path: &Path) -> impl Fn(CommandError) -> CommandError + '_ {
+    move |e| match e {
+        CommandError::Io(e) => CommandError::fs(
+            e,
+            "read",
+            Some(path.to_path_buf()),
+            format!("failed to read archive at path: {}", path.display()),
+        ),
+        e => e,
+    }
+}
+
+#[cfg(feature = "archive")]
+#[tauri::command]
+pub async fn list_archive<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    options: Option<ListArchiveOptions>,
+) -> CommandResult<Vec<ArchiveEntry>> {
+    let options = options.unwrap_or_default();
+    let (file, path, format) = open_archive(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.base.base_dir,
+        options.format,
+    )?;
+
+    let mut entries = Vec::new();
+    crate::archive::for_each_entry(file, format, |entry, _| -> CommandResult<()> {
+        entries.push(entry);
+        Ok(())
+    })
+    .map_err(archive_read_error(&path))?;
+
+    Ok(entries)
+}
+
+#[cfg(feature = "archive")]
+#[derive(Debug, Default, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ExtractArchiveOptions {
+    base_dir: Option<BaseDirectory>,
+    dest_base_dir: Option<BaseDirectory>,
+    format: Option<ArchiveFormat>,
+    #[serde(default)]
+    filter: EntryFilter,
+    #[serde(default)]
+    overwrite: bool,
+}
+
+/// Extracts an archive into `dest`, creating it if needed.
+///
+/// Entries that would end up outside of `dest`, including through symlinks extracted earlier,
+/// and symlinks pointing outside of it fail the extraction. Hard links and special files are skipped.
+#[cfg(feature = "archive")]
+#[tauri::command]
+pub async fn extract_archive<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    dest: SafeFilePath,
+    options: Option<ExtractArchiveOptions>,
+    on_progress: Option<Channel<ArchiveProgress>>,
+) -> CommandResult<()> {
+    let options = options.unwrap_or_default();
+    let (file, path, format) = open_archive(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.base_dir,
+        options.format,
+    )?;
+    let resolved_dest = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        dest,
+        options.dest_base_dir,
+    )?;
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
+
+    extract_entries(
+        file,
+        format,
+        &resolved_dest,
+        &options,
+        &|path| scope.is_allowed(path),
+        on_progress.as_ref(),
+    )
+    .map_err(archive_read_error(&path))
+}
+
+/// Resolves the symlinks in the part of `path` that exists, the rest of it is appended as is.
+///
+/// Fails on dangling symlinks, creating anything through them could end up anywhere.
+#[cfg(feature = "archive")]
+fn canonicalize_existing(path: &Path) -> std::io::Result<PathBuf> {
+    let mut missing = Vec::new();
+    let mut existing = path;
+    loop {
+        match dunce::canonicalize(existing) {
+            Ok(canonical) => {
+                return Ok(missing
+                    .into_iter()
+                    .rev()
+                    .fold(canonical, |path, name| path.join(name)))
+            }
+            Err(e) if e.kind() == std::io::ErrorKind::NotFound => {
+                if std::fs::symlink_metadata(existing).is_ok() {
+                    return Err(e);
+                }
+                match (existing.file_name(), existing.parent()) {
+                    (Some(name), Some(parent)) => {
+                        missing.push(name);
+                        existing = parent;
+                    }
+                    _ => return Err(e),
+                }
+            }
+            Err(e) => return Err(e),
+        }
+    }
+}
+
+/// Whether a symlink extracted to `parent`, an already canonical directory, and pointing to `target`
+/// stays in `root`.
+///
+/// `..` is only allowed at the start of `target`: the rest of it may go through symlinks
+/// created later in the extraction, which would make a lexical check meaningless.
+#[cfg(feature = "archive")]
+fn is_contained_link(root: &Path, parent: &Path, target: &Path) -> bool {
+    use std::path::Component;
+
+    let mut components = target
+        .components()
+        .skip_while(|c| matches!(c, Component::ParentDir | Component::CurDir));
+    components.all(|c| matches!(c, Component::Normal(_) | Component::CurDir))
+        && normalize_lexically(&parent.join(target)).starts_with(root)
+}
+
+/// Extracts the entries of an archive into `dest`, `is_allowed` is the scope check for every path written.
+#[cfg(feature = "archive")]
+fn extract_entries(
+    file: File,
+    format: ArchiveFormat,
+    dest: &Path,
+    options: &ExtractArchiveOptions,
+    is_allowed: &dyn Fn(&Path) -> bool,
+    on_progress: Option<&Channel<ArchiveProgress>>,
+) -> CommandResult<()> {
+    let match_patterns = compile_patterns(&options.filter.match_patterns)?;
+    let skip_patterns = compile_patterns(&options.filter.skip_patterns)?;
+
+    std::fs::create_dir_all(dest).map_err(|e| {
+        CommandError::fs(
+            e,
+            "mkdir",
+            Some(dest.to_path_buf()),
+            format!("failed to create directory at path: {}", dest.display()),
+        )
+    })?;
+    let dest_root = dunce::canonicalize(dest).map_err(|e| {
+        CommandError::fs(
+            e,
+            "realpath",
+            Some(dest.to_path_buf()),
+            format!("failed to resolve path: {}", dest.display()),
+        )
+    })?;
+
+    let mkdir = |path: &Path| {
+        std::fs::create_dir_all(path).map_err(|e| {
+            CommandError::fs(
+                e,
+                "mkdir",
+                Some(path.to_path_buf()),
+                format!("failed to create directory at path: {}", path.display()),
+            )
+        })
+    };
+
+    let mut entries_done = 0;
+    let mut bytes_done = 0;
+    crate::archive::for_each_entry(file, format, |entry, contents| -> CommandResult<()> {
+        let relative_path = crate::archive::entry_path(&entry.path)?;
+        // e.g. the `./` entry of tarballs
+        if relative_path.file_name().is_none() {
+            return Ok(());
+        }
+
+        // skipping a directory skips everything in it
+        let skipped = relative_path.ancestors().any(|ancestor| {
+            ancestor
+                .file_name()
+                .is_some_and(|name| matches_any(&skip_patterns, &name.to_string_lossy(), ancestor))
+        });
+        let name = relative_path
+            .file_name()
+            .map(|name| name.to_string_lossy().to_string())
+            .unwrap_or_default();
+        let matched = entry.is_directory
+            || match_patterns.is_empty()
+            || matches_any(&match_patterns, &name, &relative_path);
+        if skipped || !matched {
+            return Ok(());
+        }
+
+        let target = dest.join(&relative_path);
+        if !is_allowed(&target) {
+            return Err(Error::PathForbidden(target).into());
+        }
+
+        // earlier entries may have turned any directory on the way into a symlink,
+        // so the real location is resolved before anything is created
+        let unsafe_entry = || CommandError::from(Error::UnsafeArchiveEntry(entry.path.clone()));
+        let resolved = if entry.is_directory {
+            canonicalize_existing(&target)
+        } else {
+            canonicalize_existing(target.parent().unwrap_or(dest))
+                .map(|parent| parent.join(relative_path.file_name().unwrap_or_default()))
+        }
+        .map_err(|e| match e.kind() {
+            // a dangling symlink
+            std::io::ErrorKind::NotFound => unsafe_entry(),
+            _ => CommandError::fs(
+                e,
+                "realpath",
+                Some(target.clone()),
+                format!("failed to resolve path: {}", target.display()),
+            ),
+        })?;
+        if !resolved.starts_with(&dest_root) {
+            return Err(unsafe_entry());
+        }
+        if !is_allowed(&resolved) {
+            return Err(Error::PathForbidden(resolved).into());
+        }
+        let target = resolved;
+        let parent = target.parent().unwrap_or(&dest_root);
+
+        if entry.is_directory {
+            mkdir(&target)?;
+        } else if entry.is_symlink {
+            let link_target = entry.link_target.clone().unwrap_or_default();
+            if !is_contained_link(&dest_root, parent, &link_target) {
+                return Err(unsafe_entry());
+            }
+
+            mkdir(parent)?;
+            if std::fs::symlink_metadata(&target).is_ok() {
+                if !options.overwrite {
+                    return Err(already_exists("symlink", &target));
+                }
+                let _ = std::fs::remove_file(&target);
+            }
+            create_symlink(&link_target, &target, None).map_err(|e| {
+                CommandError::fs(
+                    e,
+                    "symlink",
+                    Some(target.clone()),
+                    format!("failed to create symlink at path: {}", target.display()),
+                )
+            })?;
+        } else if entry.is_file {
+            mkdir(parent)?;
+            // writing through a symlink would replace whatever it points to
+            if std::fs::symlink_metadata(&target).is_ok_and(|m| m.file_type().is_symlink()) {
+                if !options.overwrite {
+                    return Err(already_exists("open", &target));
+                }
+                let _ = std::fs::remove_file(&target);
+            }
+
+            let mut open_options = std::fs::OpenOptions::new();
+            open_options.write(true);
+            if options.overwrite {
+                open_options.create(true).truncate(true);
+            } else {
+                open_options.create_new(true);
+            }
+            #[cfg(unix)]
+            {
+                use std::os::unix::fs::OpenOptionsExt;
+                if let Some(mode) = entry.mode {
+                    open_options.mode(mode & 0o777);
+                }
+            }
+
+            let write_err = |e: std::io::Error| {
+                CommandError::fs(
+                    e,
+                    "write",
+                    Some(target.clone()),
+                    format!("failed to write file at path: {}", target.display()),
+                )
+            };
+            let mut file = open_options.open(&target).map_err(write_err)?;
+            std::io::copy(contents, &mut file).map_err(|e| match e.kind() {
+                // errors reading the archive are reported against the archive
+                std::io::ErrorKind::InvalidData | std::io::ErrorKind::UnexpectedEof => {
+                    CommandError::Io(e)
+                }
+                _ => write_err(e),
+            })?;
+            if let Some(mtime) = entry.mtime {
+                let mtime = filetime::FileTime::from_unix_time((mtime / 1000) as i64, 0);
+                filetime::set_file_handle_times(&file, None, Some(mtime)).map_err(|e| {
+                    CommandError::fs(
+                        e,
+                        "utimes",
+                        Some(target.clone()),
+                        format!("failed to set timestamps of path: {}", target.display()),
+                    )
+                })?;
+            }
+            bytes_done += entry.size;
+        } else {
+            return Ok(());
+        }
+
+        entries_done += 1;
+        if let Some(on_progress) = on_progress {
+            on_progress.send(ArchiveProgress {
+                entries_done,
+                total_entries: None,
+                bytes_done,
+                total_bytes: None,
+                current_path: entry.path,
+            })?;
+        }
+        Ok(())
+    })
+}
+
+#[derive(Debug, Clone, Deserialize)]
+pub struct MkdirOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    #[allow(unused)]
+    mode: Option<u32>,
+    recursive: Option<bool>,
+}
+
+#[tauri::command]
+pub fn mkdir<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    options: Option<MkdirOptions>,
+) -> CommandResult<()> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base.base_dir),
+    )?;
+
+    let mut builder = std::fs::DirBuilder::new();
+    builder.recursive(options.as_ref().and_then(|o| o.recursive).unwrap_or(false));
+
+    #[cfg(unix)]
+    {
+        use std::os::unix::fs::DirBuilderExt;
+        let mode = options.as_ref().and_then(|o| o.mode).unwrap_or(0o777) & 0o777;
+        builder.mode(mode);
+    }
+
+    builder.create(&resolved_path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "mkdir",
+            Some(resolved_path.clone()),
+            format!(
+                "failed to create directory at path: {}",
+                resolved_path.display()
+            ),
+        )
+    })
+}
+
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+#[non_exhaustive]
+pub struct DirEntry {
+    pub name: Option<String>,
+    pub is_directory: bool,
+    pub is_file: bool,
+    pub is_symlink: bool,
+}
+
+fn read_dir_inner<P: AsRef<Path>>(path: P) -> std::io::Result<Vec<DirEntry>> {
+    let mut files_and_dirs: Vec<DirEntry> = vec![];
+    for entry in std::fs::read_dir(path)? {
+        let path = entry?.path();
+        let file_type = path.metadata()?.file_type();
+        files_and_dirs.push(DirEntry {
+            is_directory: file_type.is_dir(),
+            is_file: file_type.is_file(),
+            is_symlink: std::fs::symlink_metadata(&path)
+                .map(|md| md.file_type().is_symlink())
+                .unwrap_or(false),
+            name: path
+                .file_name()
+                .map(|name| name.to_string_lossy())
+                .map(|name| name.to_string()),
+        });
+    }
+    Result::Ok(files_and_dirs)
+}
+
+#[tauri::command]
+pub async fn read_dir<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    options: Option<BaseOptions>,
+) -> CommandResult<Vec<DirEntry>> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base_dir),
+    )?;
+
+    read_dir_inner(&resolved_path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "read_dir",
+            Some(resolved_path.clone()),
+            format!(
+                "failed to read directory at path: {}",
+                resolved_path.display()
+            ),
+        )
+    })
+}
+
+#[derive(Debug, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct WalkDirOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    max_depth: Option<usize>,
+    #[serde(default = "crate::default_true")]
+    include_dirs: bool,
+    #[serde(default = "crate::default_true")]
+    include_files: bool,
+    #[serde(default)]
+    follow_symlinks: bool,
+    #[serde(default, rename = "match")]
+    match_patterns: Vec<String>,
+    #[serde(default, rename = "skip")]
+    skip_patterns: Vec<String>,
+    #[serde(default)]
+    with_stat: bool,
+    batch_size: Option<usize>,
+}
+
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+#[non_exhaustive]
+pub struct WalkEntry {
+    pub name: String,
+    pub path: PathBuf,
+    pub relative_path: PathBuf,
+    pub depth: usize,
+    pub is_directory: bool,
+    pub is_file: bool,
+    pub is_symlink: bool,
+    pub stat: Option<FileInfo>,
+}
+
+/// A batch of entries streamed to the frontend over a [`Channel`].
+/// The last batch of a stream has `done` set.
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct Batch<T> {
+    /// Closing this resource stops the stream.
+    rid: ResourceId,
+    entries: Vec<T>,
+    done: bool,
+}
+
+const DEFAULT_BATCH_SIZE: usize = 256;
+
+struct Batcher<'a, T: Serialize> {
+    channel: &'a Channel<Batch<T>>,
+    rid: ResourceId,
+    cancellation: Arc<CancellationResource>,
+    entries: Vec<T>,
+    size: usize,
+}
+
+impl<'a, T: Serialize> Batcher<'a, T> {
+    /// Sends an empty first batch right away, so the frontend learns `rid` before any entry is found.
+    fn new(
+        channel: &'a Channel<Batch<T>>,
+        (rid, cancellation): (ResourceId, Arc<CancellationResource>),
+        size: Option<usize>,
+    ) -> CommandResult<Self> {
+        let mut batcher = Self {
+            channel,
+            rid,
+            cancellation,
+            entries: Vec::new(),
+            size: size.unwrap_or(DEFAULT_BATCH_SIZE).max(1),
+        };
+        batcher.send(false)?;
+        Ok(batcher)
+    }
+
+    /// Fails with [`Error::Cancelled`] once the frontend has stopped consuming the stream.
+    fn check_cancelled(&self) -> CommandResult<()> {
+        if self.cancellation.is_cancelled() {
+            return Err(Error::Cancelled.into());
+        }
+        Ok(())
+    }
+
+    fn push(&mut self, entry: T) -> CommandResult<()> {
+        self.check_cancelled()?;
+        self.entries.push(entry);
+        if self.entries.len() >= self.size {
+            self.send(false)?;
+        }
+        Ok(())
+    }
+
+    fn finish(mut self) -> CommandResult<()> {
+        self.send(true)
+    }
+
+    fn send(&mut self, done: bool) -> CommandResult<()> {
+        self.channel.send(Batch {
+            rid: self.rid,
+            entries: std::mem::take(&mut self.entries),
+            done,
+        })?;
+        Ok(())
+    }
+}
+
+struct Walker<'a> {
+    scope: &'a tauri::scope::fs::Scope,
+    options: &'a WalkDirOptions,
+    match_patterns: Vec<glob::Pattern>,
+    skip_patterns: Vec<glob::Pattern>,
+    root: PathBuf,
+    visited: HashSet<PathBuf>,
+    batcher: Batcher<'a, WalkEntry>,
+}
+
+pub fn compile_patterns(patterns: &[String]) -> crate::Result<Vec<glob::Pattern>> {
+    patterns
+        .iter()
+        .map(|p| glob::Pattern::new(p).map_err(Into::into))
+        .collect()
+}
+
+/// Patterns without a path separator are matched against the entry name,
+/// the others against the path relative to the walked directory.
+pub fn matches_any(patterns: &[glob::Pattern], name: &str, relative_path: &Path) -> bool {
+    patterns.iter().any(|pattern| {
+        if pattern.as_str().contains('/') {
+            pattern.matches_path(relative_path)
+        } else {
+            pattern.matches(name)
+        }
+    })
+}
+
+impl Walker<'_> {
+    fn walk(&mut self, dir: &Path, depth: usize) -> CommandResult<()> {
+        if self.options.follow_symlinks {
+            // protect against symlink cycles
+            if let Ok(canonical) = dir.canonicalize() {
+                if !self.visited.insert(canonical) {
+                    return Ok(());
+                }
+            }
+        }
+
+        let read_dir_err = |e: std::io::Error| {
+            CommandError::fs(
+                e,
+                "read_dir",
+                Some(dir.to_path_buf()),
+                format!("failed to read directory at path: {}", dir.display()),
+            )
+        };
+
+        for entry in std::fs::read_dir(dir).map_err(read_dir_err)? {
+            self.batcher.check_cancelled()?;
+            let entry = entry.map_err(read_dir_err)?;
+            let path = entry.path();
+
+            if !self.scope.is_allowed(&path) {
+                continue;
+            }
+
+            let name = entry.file_name().to_string_lossy().to_string();
+            let relative_path = path.strip_prefix(&self.root).unwrap_or(&path).to_path_buf();
+            if matches_any(&self.skip_patterns, &name, &relative_path) {
+                continue;
+            }
+
+            let is_symlink = entry.file_type().map(|t| t.is_symlink()).unwrap_or(false);
+            let metadata = if self.options.follow_symlinks || !is_symlink {
+                std::fs::metadata(&path)
+            } else {
+                std::fs::symlink_metadata(&path)
+            };
+            let (is_directory, is_file) = metadata
+                .as_ref()
+                .map(|m| (m.is_dir(), m.is_file()))
+                .unwrap_or((false, false));
+
+            let include_kind = if is_directory {
+                self.options.include_dirs
+            } else {
+                self.options.include_files
+            };
+            let included = include_kind
+                && (self.match_patterns.is_empty()
+                    || matches_any(&self.match_patterns, &name, &relative_path));
+
+            let descend = is_directory
+                && self.options.max_depth.map_or(true, |max| depth < max)
+                && (!is_symlink || self.options.follow_symlinks);
+
+            if included {
+                self.batcher.push(WalkEntry {
+                    name,
+                    path: path.clone(),
+                    relative_path,
+                    depth,
+                    is_directory,
+                    is_file,
+                    is_symlink,
+                    stat: if self.options.with_stat {
+                        metadata.ok().map(get_stat)
+                    } else {
+                        None
+                    },
+                })?;
+            }
+
+            if descend {
+                self.walk(&path, depth + 1)?;
+            }
+        }
+
+        Ok(())
+    }
+}
+
+#[tauri::command]
+pub async fn walk_dir<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    options: WalkDirOptions,
+    on_batch: Channel<Batch<WalkEntry>>,
+) -> CommandResult<()> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.base.base_dir,
+    )?;
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
+    let match_patterns = compile_patterns(&options.match_patterns)?;
+    let skip_patterns = compile_patterns(&options.skip_patterns)?;
+
+    let cancellation = CancellationResource::register(&webview);
+    let rid = cancellation.0;
+    let result = (|| -> CommandResult<()> {
+        let mut walker = Walker {
+            scope: &scope,
+            options: &options,
+            match_patterns,
+            skip_patterns,
+            root: resolved_path.clone(),
+            visited: HashSet::new(),
+            batcher: Batcher::new(&on_batch, cancellation, options.batch_size)?,
+        };
+
+        if options.max_depth != Some(0) {
+            walker.walk(&resolved_path, 1)?;
+        }
+        walker.batcher.finish()
+    })();
+
+    let _ = webview.resources_table().take::<CancellationResource>(rid);
+
+    result
+}
+
+#[derive(Debug, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct GlobOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    dot: Option<bool>,
+    #[serde(default = "crate::default_true")]
+    case_sensitive: bool,
+    limit: Option<usize>,
+    batch_size: Option<usize>,
+}
+
+/// Returns the paths matching `pattern` that are allowed by the fs scope.
+///
+/// When `on_batch` is set the matches are streamed over it instead and an empty list is returned.
+#[tauri::command]
+pub async fn glob<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    pattern: String,
+    options: Option<GlobOptions>,
+    on_batch: Option<Channel<Batch<PathBuf>>>,
+) -> CommandResult<Vec<PathBuf>> {
+    let base_dir = options.as_ref().and_then(|o| o.base.base_dir);
+    // rejects patterns that contain parent directory components
+    let pattern = SafeFilePath::from_str(&pattern)?.into_path()?;
+    let pattern = match base_dir {
+        Some(base_dir) => {
+            let base = webview.path().resolve("", base_dir)?;
+            PathBuf::from(glob::Pattern::escape(&base.to_string_lossy())).join(pattern)
+        }
+        None => pattern,
+    };
+
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
+
+    // dotfiles are matched the same way the scope matches them by default
+    let dot = options.as_ref().and_then(|o| o.dot).unwrap_or_else(|| {
+        !webview
+            .fs_scope()
+            .require_literal_leading_dot
+            .unwrap_or(cfg!(unix))
+    });
+    let match_options = glob::MatchOptions {
+        case_sensitive: options.as_ref().map_or(true, |o| o.case_sensitive),
+        require_literal_separator: true,
+        require_literal_leading_dot: !dot,
+    };
+
+    let paths = glob::glob_with(&pattern.to_string_lossy(), match_options)
+        .map_err(Error::from)?
+        // unreadable directories are skipped
+        .filter_map(|entry| entry.ok())
+        .filter(|path| scope.is_allowed(path))
+        .take(options.as_ref().and_then(|o| o.limit).unwrap_or(usize::MAX));
+
+    match on_batch {
+        Some(on_batch) => {
+            let cancellation = CancellationResource::register(&webview);
+            let rid = cancellation.0;
+            let result = (|| -> CommandResult<()> {
+                let mut batcher = Batcher::new(
+                    &on_batch,
+                    cancellation,
+                    options.as_ref().and_then(|o| o.batch_size),
+                )?;
+                for path in paths {
+                    batcher.push(path)?;
+                }
+                batcher.finish()
+            })();
+
+            let _ = webview.resources_table().take::<CancellationResource>(rid);
+
+            result.map(|()| Vec::new())
+        }
+        None => Ok(paths.collect()),
     }
-    Result::Ok(files_and_dirs)
 }
 
 #[tauri::command]
-pub async fn read_dir<R: Runtime>(
+pub async fn read<R: Runtime>(
     webview: Webview<R>,
-    global_scope: GlobalScope<Entry>,
-    command_scope: CommandScope<Entry>,
-    path: SafeFilePath,
-    options: Option<BaseOptions>,
-) -> CommandResult<Vec<DirEntry>> {
-    let resolved_path = resolve_path(
-        &webview,
-        &global_scope,
-        &command_scope,
-        path,
-        options.as_ref().and_then(|o| o.base_dir),
-    )?;
+    rid: ResourceId,
+    len: usize,
+) -> CommandResult<tauri::ipc::Response> {
+    let mut data = vec![0; len];
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    let nread = StdFileResource::with_lock(&file, |mut file| file.read(&mut data))
+        .map_err(|e| CommandError::fs(e, "read", None, "failed to read bytes from file".into()))?;
 
-    read_dir_inner(&resolved_path)
-        .map_err(|e| {
-            format!(
-                "failed to read directory at path: {} with error: {e}",
-                resolved_path.display()
-            )
-        })
-        .map_err(Into::into)
+    Ok(read_response(data, nread))
 }
 
+/// Reads up to `len` bytes starting at `position` without moving the file cursor.
 #[tauri::command]
-pub async fn read<R: Runtime>(
+pub async fn read_at<R: Runtime>(
     webview: Webview<R>,
     rid: ResourceId,
     len: usize,
+    position: u64,
 ) -> CommandResult<tauri::ipc::Response> {
     let mut data = vec![0; len];
     let file = webview.resources_table().get::<StdFileResource>(rid)?;
-    let nread = StdFileResource::with_lock(&file, |mut file| file.read(&mut data))
-        .map_err(|e| format!("faied to read bytes from file with error: {e}"))?;
+    let nread =
+        StdFileResource::with_lock(&file, |file| read_at_position(file, &mut data, position))
+            .map_err(|e| {
+                CommandError::fs(e, "pread", None, "failed to read bytes from file".into())
+            })?;
+
+    Ok(read_response(data, nread))
+}
 
+fn read_response(mut data: Vec<u8>, nread: usize) -> tauri::ipc::Response {
     // This is an optimization to include the number of read bytes (as bigendian bytes)
     // at the end of returned vector so we can use `tauri::ipc::Response`
     // and avoid serialization overhead of separate values.
@@ -330,7 +2423,46 @@ pub async fn read<R: Runtime>(
 
     data.extend(nread);
 
-    Ok(tauri::ipc::Response::new(data))
+    tauri::ipc::Response::new(data)
+}
+
+#[cfg(unix)]
+fn read_at_position(file: &File, buf: &mut [u8], position: u64) -> std::io::Result<usize> {
+    std::os::unix::fs::FileExt::read_at(file, buf, position)
+}
+
+#[cfg(windows)]
+fn read_at_position(mut file: &File, buf: &mut [u8], position: u64) -> std::io::Result<usize> {
+    // `seek_read` moves the cursor on Windows, put it back where it was
+    let cursor = file.stream_position()?;
+    let nread = std::os::windows::fs::FileExt::seek_read(file, buf, position);
+    file.seek(SeekFrom::Start(cursor))?;
+    nread
+}
+
+#[cfg(unix)]
+fn write_at_position(file: &File, buf: &[u8], position: u64) -> std::io::Result<usize> {
+    std::os::unix::fs::FileExt::write_at(file, buf, position)
+}
+
+#[cfg(windows)]
+fn write_at_position(mut file: &File, buf: &[u8], position: u64) -> std::io::Result<usize> {
+    // `seek_write` moves the cursor on Windows, put it back where it was
+    let cursor = file.stream_position()?;
+    let nwritten = std::os::windows::fs::FileExt::seek_write(file, buf, position);
+    file.seek(SeekFrom::Start(cursor))?;
+    nwritten
+}
+
+#[derive(Debug, Default, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ReadFileOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    offset: Option<u64>,
+    length: Option<u64>,
+    /// Decompress the file while reading it, `offset` and `length` then refer to the decompressed contents.
+    compression: Option<Compression>,
 }
 
 #[tauri::command]
@@ -339,17 +2471,16 @@ pub async fn read_file<R: Runtime>(
     global_scope: GlobalScope<Entry>,
     command_scope: CommandScope<Entry>,
     path: SafeFilePath,
-    options: Option<BaseOptions>,
+    options: Option<ReadFileOptions>,
 ) -> CommandResult<tauri::ipc::Response> {
+    let options = options.unwrap_or_default();
     let (mut file, path) = resolve_file(
         &webview,
         &global_scope,
         &command_scope,
         path,
         OpenOptions {
-            base: BaseOptions {
-                base_dir: options.as_ref().and_then(|o| o.base_dir),
-            },
+            base: options.base,
             options: crate::OpenOptions {
                 read: true,
                 ..Default::default()
@@ -357,35 +2488,228 @@ pub async fn read_file<R: Runtime>(
         },
     )?;
 
+    let read_err = |e: std::io::Error| {
+        CommandError::fs(
+            e,
+            "read",
+            Some(path.clone()),
+            format!("failed to read file at path: {}", path.display()),
+        )
+    };
+
     let mut contents = Vec::new();
 
-    file.read_to_end(&mut contents).map_err(|e| {
-        format!(
-            "failed to read file as text at path: {} with error: {e}",
-            path.display()
-        )
-    })?;
+    if let Some(compression) = options.compression {
+        let mut reader = compression
+            .decoder(BufReader::new(file))
+            .map_err(read_err)?;
+        if let Some(offset) = options.offset {
+            std::io::copy(&mut reader.by_ref().take(offset), &mut std::io::sink())
+                .map_err(read_err)?;
+        }
+        reader
+            .take(options.length.unwrap_or(u64::MAX))
+            .read_to_end(&mut contents)
+            .map_err(read_err)?;
+
+        return Ok(tauri::ipc::Response::new(contents));
+    }
+
+    if let Some(offset) = options.offset {
+        file.seek(SeekFrom::Start(offset)).map_err(|e| {
+            CommandError::fs(
+                e,
+                "seek",
+                Some(path.clone()),
+                format!("failed to seek file at path: {}", path.display()),
+            )
+        })?;
+    }
+
+    file.take(options.length.unwrap_or(u64::MAX))
+        .read_to_end(&mut contents)
+        .map_err(read_err)?;
 
     Ok(tauri::ipc::Response::new(contents))
 }
 
+#[derive(Debug, Default, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct HashRange {
+    offset: Option<u64>,
+    length: Option<u64>,
+}
+
+#[derive(Debug, Default, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct HashOptions {
+    #[serde(default)]
+    algorithm: HashAlgorithm,
+    #[serde(default)]
+    range: HashRange,
+}
+
+#[derive(Debug, Default, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct HashFileOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    #[serde(flatten)]
+    hash: HashOptions,
+}
+
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct HashProgress {
+    bytes_hashed: u64,
+    total_bytes: u64,
+}
+
+const HASH_CHUNK_SIZE: usize = 64 * 1024;
+const HASH_PROGRESS_INTERVAL: u64 = 4 * 1024 * 1024;
+
+/// Hashes a range of `file` with positional reads, so the file cursor is left untouched.
+///
+/// `path` is only used for error messages.
+fn hash_range(
+    file: &File,
+    path: Option<&Path>,
+    options: &HashOptions,
+    on_progress: Option<&Channel<HashProgress>>,
+) -> CommandResult<Vec<u8>> {
+    let at_path = path.map_or_else(String::new, |p| format!(" at path: {}", p.display()));
+    let fs_error = |e, syscall, message: &str| {
+        CommandError::fs(
+            e,
+            syscall,
+            path.map(Path::to_path_buf),
+            format!("{message}{at_path}"),
+        )
+    };
+
+    let len = file
+        .metadata()
+        .map_err(|e| fs_error(e, "fstat", "failed to get metadata of file"))?
+        .len();
+    let start = options.range.offset.unwrap_or(0).min(len);
+    let end = options
+        .range
+        .length
+        .map_or(len, |length| start.saturating_add(length).min(len));
+    let total_bytes = end - start;
+
+    let mut hasher = Hasher::new(options.algorithm)?;
+    let mut buffer = vec![0; HASH_CHUNK_SIZE];
+    let mut position = start;
+    let mut next_progress = HASH_PROGRESS_INTERVAL;
+    while position < end {
+        let chunk_len = HASH_CHUNK_SIZE.min((end - position) as usize);
+        let nread = read_at_position(file, &mut buffer[..chunk_len], position)
+            .map_err(|e| fs_error(e, "pread", "failed to read bytes from file"))?;
+        if nread == 0 {
+            // the file was truncated while hashing
+            break;
+        }
+        hasher.update(&buffer[..nread]);
+        position += nread as u64;
+
+        let bytes_hashed = position - start;
+        if let Some(channel) = on_progress.filter(|_| bytes_hashed >= next_progress) {
+            channel.send(HashProgress {
+                bytes_hashed,
+                total_bytes,
+            })?;
+            next_progress = bytes_hashed + HASH_PROGRESS_INTERVAL;
+        }
+    }
+
+    if let Some(channel) = on_progress {
+        channel.send(HashProgress {
+            bytes_hashed: position - start,
+            total_bytes,
+        })?;
+    }
+
+    Ok(hasher.finalize())
+}
+
+/// Hashes a file and returns the raw digest.
+#[tauri::command]
+pub async fn hash_file<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    options: Option<HashFileOptions>,
+    on_progress: Option<Channel<HashProgress>>,
+) -> CommandResult<tauri::ipc::Response> {
+    let options = options.unwrap_or_default();
+    let (file, path) = resolve_file(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        OpenOptions {
+            base: options.base,
+            options: crate::OpenOptions {
+                read: true,
+                ..Default::default()
+            },
+        },
+    )?;
+
+    hash_range(&file, Some(&path), &options.hash, on_progress.as_ref())
+        .map(tauri::ipc::Response::new)
+}
+
+/// Hashes an open file without moving its cursor and returns the raw digest.
+#[tauri::command]
+pub async fn hash_fd<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+    options: Option<HashOptions>,
+    on_progress: Option<Channel<HashProgress>>,
+) -> CommandResult<tauri::ipc::Response> {
+    let options = options.unwrap_or_default();
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    // hashing a large file takes a while, other operations on the file go on in the meantime
+    file.spawn_blocking(move |file| Ok(hash_range(file, None, &options, on_progress.as_ref())))
+        .await?
+        .map_err(|e| CommandError::fs(e, "dup", None, "failed to duplicate file handle".into()))?
+        .map(tauri::ipc::Response::new)
+}
+
+#[derive(Debug, Default, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ReadTextFileOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    /// A WHATWG encoding label or `auto`, UTF-8 is assumed when not set.
+    encoding: Option<String>,
+}
+
 #[tauri::command]
 pub async fn read_text_file<R: Runtime>(
     webview: Webview<R>,
     global_scope: GlobalScope<Entry>,
     command_scope: CommandScope<Entry>,
     path: SafeFilePath,
-    options: Option<BaseOptions>,
+    options: Option<ReadTextFileOptions>,
 ) -> CommandResult<String> {
+    let options = options.unwrap_or_default();
+    let encoding = options
+        .encoding
+        .as_deref()
+        .map(TextEncoding::from_label)
+        .transpose()?;
+
     let (mut file, path) = resolve_file(
         &webview,
         &global_scope,
         &command_scope,
         path,
         OpenOptions {
-            base: BaseOptions {
-                base_dir: options.as_ref().and_then(|o| o.base_dir),
-            },
+            base: options.base,
             options: crate::OpenOptions {
                 read: true,
                 ..Default::default()
@@ -393,12 +2717,27 @@ pub async fn read_text_file<R: Runtime>(
         },
     )?;
 
+    if let Some(encoding) = encoding {
+        let mut bytes = Vec::new();
+        file.read_to_end(&mut bytes).map_err(|e| {
+            CommandError::fs(
+                e,
+                "read",
+                Some(path.clone()),
+                format!("failed to read file as text at path: {}", path.display()),
+            )
+        })?;
+        return Ok(encoding.decode(&bytes));
+    }
+
     let mut contents = String::new();
 
     file.read_to_string(&mut contents).map_err(|e| {
-        format!(
-            "failed to read file as text at path: {} with error: {e}",
-            path.display()
+        CommandError::fs(
+            e,
+            "read",
+            Some(path.clone()),
+            format!("failed to read file as text at path: {}", path.display()),
         )
     })?;
 
@@ -411,47 +2750,104 @@ pub fn read_text_file_lines<R: Runtime>(
     global_scope: GlobalScope<Entry>,
     command_scope: CommandScope<Entry>,
     path: SafeFilePath,
-    options: Option<BaseOptions>,
+    options: Option<ReadTextFileOptions>,
 ) -> CommandResult<ResourceId> {
-    use std::io::BufRead;
+    let encoding = options
+        .as_ref()
+        .and_then(|o| o.encoding.as_deref())
+        .map(TextEncoding::from_label)
+        .transpose()?;
 
     let resolved_path = resolve_path(
         &webview,
         &global_scope,
         &command_scope,
         path,
-        options.as_ref().and_then(|o| o.base_dir),
+        options.as_ref().and_then(|o| o.base.base_dir),
     )?;
 
     let file = File::open(&resolved_path).map_err(|e| {
-        format!(
-            "failed to open file at path: {} with error: {e}",
-            resolved_path.display()
+        CommandError::fs(
+            e,
+            "open",
+            Some(resolved_path.clone()),
+            format!("failed to open file at path: {}", resolved_path.display()),
         )
     })?;
 
-    let lines = BufReader::new(file).lines();
+    let reader: Box<dyn Read + Send> = match encoding {
+        Some(encoding) => Box::new(DecodeReader::new(file, encoding)),
+        None => Box::new(file),
+    };
+    let lines = TextLines::new(BufReader::new(reader));
     let rid = webview.resources_table().add(StdLinesResource::new(lines));
 
     Ok(rid)
 }
 
+/// Reads the next line, `None` is returned for lines that can't be read.
+///
+/// Lines also end at a lone `\r` since 2.1.0, like in [`read_text_file_lines_batch`].
 #[tauri::command]
 pub async fn read_text_file_lines_next<R: Runtime>(
     webview: Webview<R>,
     rid: ResourceId,
 ) -> CommandResult<(Option<String>, bool)> {
-    let mut resource_table = webview.resources_table();
-    let lines = resource_table.get::<StdLinesResource>(rid)?;
+    // the table is only locked to look up the resource, reading may take a while
+    let lines = webview.resources_table().get::<StdLinesResource>(rid)?;
 
     let ret = StdLinesResource::with_lock(&lines, |lines| {
-        lines.next().map(|a| (a.ok(), false)).unwrap_or_else(|| {
-            let _ = resource_table.close(rid);
-            (None, true)
+        lines
+            .next_line()
+            .transpose()
+            .map(|a| (a.ok().map(|l| l.line), false))
+    });
+
+    Ok(ret.unwrap_or_else(|| {
+        let _ = webview.resources_table().close(rid);
+        (None, true)
+    }))
+}
+
+/// Reads up to `size` lines, the resource is closed once the end of the file is reached.
+///
+/// Unlike [`read_text_file_lines_next`], a line that can't be read fails the batch.
+#[tauri::command]
+pub async fn read_text_file_lines_batch<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+    size: Option<usize>,
+) -> CommandResult<Batch<TextLine>> {
+    let lines = webview.resources_table().get::<StdLinesResource>(rid)?;
+    let size = size.unwrap_or(DEFAULT_BATCH_SIZE).max(1);
+
+    let batch = StdLinesResource::with_lock(&lines, |lines| -> std::io::Result<_> {
+        let mut entries = Vec::with_capacity(size);
+        while entries.len() < size {
+            match lines.next_line()? {
+                Some(line) => entries.push(line),
+                None => {
+                    return Ok(Batch {
+                        rid,
+                        entries,
+                        done: true,
+                    })
+                }
+            }
+        }
+        Ok(Batch {
+            rid,
+            entries,
+            done: false,
         })
     });
 
-    Ok(ret)
+    // close the resource on errors too, the frontend won't ask for more lines
+    if batch.as_ref().map_or(true, |batch| batch.done) {
+        let _ = webview.resources_table().close(rid);
+    }
+
+    batch.map_err(|e| CommandError::fs(e, "read", None, "failed to read lines from file".into()))
 }
 
 #[derive(Debug, Clone, Deserialize)]
@@ -478,9 +2874,14 @@ pub fn remove<R: Runtime>(
     )?;
 
     let metadata = std::fs::symlink_metadata(&resolved_path).map_err(|e| {
-        format!(
-            "failed to get metadata of path: {} with error: {e}",
-            resolved_path.display()
+        CommandError::fs(
+            e,
+            "lstat",
+            Some(resolved_path.clone()),
+            format!(
+                "failed to get metadata of path: {}",
+                resolved_path.display()
+            ),
         )
     })?;
 
@@ -514,12 +2915,13 @@ pub fn remove<R: Runtime>(
     };
 
     res.map_err(|e| {
-        format!(
-            "failed to remove path: {} with error: {e}",
-            resolved_path.display()
+        CommandError::fs(
+            e,
+            "remove",
+            Some(resolved_path.clone()),
+            format!("failed to remove path: {}", resolved_path.display()),
         )
     })
-    .map_err(Into::into)
 }
 
 #[derive(Debug, Clone, Deserialize)]
@@ -549,18 +2951,195 @@ pub fn rename<R: Runtime>(
         &webview,
         &global_scope,
         &command_scope,
-        new_path,
-        options.as_ref().and_then(|o| o.new_path_base_dir),
+        new_path,
+        options.as_ref().and_then(|o| o.new_path_base_dir),
+    )?;
+    std::fs::rename(&resolved_old_path, &resolved_new_path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "rename",
+            Some(resolved_old_path.clone()),
+            format!(
+                "failed to rename old path: {} to new path: {}",
+                resolved_old_path.display(),
+                resolved_new_path.display()
+            ),
+        )
+    })
+}
+
+#[derive(Debug, Clone, Copy, Deserialize)]
+#[serde(rename_all = "lowercase")]
+pub enum SymlinkType {
+    File,
+    Dir,
+}
+
+#[derive(Debug, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct SymlinkOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    #[serde(rename = "type")]
+    kind: Option<SymlinkType>,
+}
+
+/// Resolves `.` and `..` components without touching the file system.
+fn normalize_lexically(path: &Path) -> PathBuf {
+    use std::path::Component;
+
+    let mut normalized = PathBuf::new();
+    for component in path.components() {
+        match component {
+            Component::CurDir => {}
+            Component::ParentDir => {
+                normalized.pop();
+            }
+            c => normalized.push(c),
+        }
+    }
+    normalized
+}
+
+/// Creates a symlink at `path` pointing to `target`.
+///
+/// `target` is stored as is, relative targets are relative to the directory of the link.
+/// It must resolve to a path allowed by the scope so the link can't be used to escape it.
+#[tauri::command]
+pub fn symlink<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    target: PathBuf,
+    path: SafeFilePath,
+    options: Option<SymlinkOptions>,
+) -> CommandResult<()> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base.base_dir),
+    )?;
+
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
+    check_symlink_target(&|path| scope.is_allowed(path), &resolved_path, &target)?;
+
+    create_symlink(&target, &resolved_path, options.and_then(|o| o.kind)).map_err(|e| {
+        CommandError::fs(
+            e,
+            "symlink",
+            Some(resolved_path.clone()),
+            format!(
+                "failed to create symlink at path: {} to target: {}",
+                resolved_path.display(),
+                target.display()
+            ),
+        )
+    })
+}
+
+#[derive(Debug, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct LinkOptions {
+    existing_path_base_dir: Option<BaseDirectory>,
+    new_path_base_dir: Option<BaseDirectory>,
+}
+
+#[tauri::command]
+pub fn link<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    existing_path: SafeFilePath,
+    new_path: SafeFilePath,
+    options: Option<LinkOptions>,
+) -> CommandResult<()> {
+    let resolved_existing_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        existing_path,
+        options.as_ref().and_then(|o| o.existing_path_base_dir),
+    )?;
+    let resolved_new_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        new_path,
+        options.as_ref().and_then(|o| o.new_path_base_dir),
+    )?;
+    std::fs::hard_link(&resolved_existing_path, &resolved_new_path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "link",
+            Some(resolved_existing_path.clone()),
+            format!(
+                "failed to create hard link from existing path: {} to new path: {}",
+                resolved_existing_path.display(),
+                resolved_new_path.display()
+            ),
+        )
+    })
+}
+
+#[tauri::command]
+pub fn read_link<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    options: Option<BaseOptions>,
+) -> CommandResult<PathBuf> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base_dir),
+    )?;
+    std::fs::read_link(&resolved_path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "readlink",
+            Some(resolved_path.clone()),
+            format!("failed to read link at path: {}", resolved_path.display()),
+        )
+    })
+}
+
+/// Returns the canonical, absolute form of a path with all symlinks resolved.
+/// Fails if the resolved path is not allowed by the scope.
+#[tauri::command]
+pub fn real_path<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    options: Option<BaseOptions>,
+) -> CommandResult<PathBuf> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base_dir),
     )?;
-    std::fs::rename(&resolved_old_path, &resolved_new_path)
-        .map_err(|e| {
-            format!(
-                "failed to rename old path: {} to new path: {} with error: {e}",
-                resolved_old_path.display(),
-                resolved_new_path.display()
-            )
-        })
-        .map_err(Into::into)
+    let real_path = dunce::canonicalize(&resolved_path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "realpath",
+            Some(resolved_path.clone()),
+            format!("failed to resolve path: {}", resolved_path.display()),
+        )
+    })?;
+
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
+    if scope.is_allowed(&real_path) {
+        Ok(real_path)
+    } else {
+        Err(Error::PathForbidden(real_path).into())
+    }
 }
 
 #[derive(Serialize_repr, Deserialize_repr, Clone, Copy, Debug)]
@@ -578,7 +3157,6 @@ pub async fn seek<R: Runtime>(
     offset: i64,
     whence: SeekMode,
 ) -> CommandResult<u64> {
-    use std::io::{Seek, SeekFrom};
     let file = webview.resources_table().get::<StdFileResource>(rid)?;
     StdFileResource::with_lock(&file, |mut file| {
         file.seek(match whence {
@@ -587,13 +3165,13 @@ pub async fn seek<R: Runtime>(
             SeekMode::End => SeekFrom::End(offset),
         })
     })
-    .map_err(|e| format!("failed to seek file with error: {e}"))
-    .map_err(Into::into)
+    .map_err(|e| CommandError::fs(e, "seek", None, "failed to seek file".into()))
 }
 
 #[cfg(target_os = "android")]
 fn get_metadata<R: Runtime, F: FnOnce(&PathBuf) -> std::io::Result<std::fs::Metadata>>(
     metadata_fn: F,
+    syscall: &'static str,
     webview: &Webview<R>,
     global_scope: &GlobalScope<Entry>,
     command_scope: &CommandScope<Entry>,
@@ -616,15 +3194,17 @@ fn get_metadata<R: Runtime, F: FnOnce(&PathBuf) -> std::io::Result<std::fs::Meta
                 },
             )?;
             file.metadata().map_err(|e| {
-                format!(
-                    "failed to get metadata of path: {} with error: {e}",
-                    path.display()
+                CommandError::fs(
+                    e,
+                    syscall,
+                    Some(path.clone()),
+                    format!("failed to get metadata of path: {}", path.display()),
                 )
-                .into()
             })
         }
         SafeFilePath::Path(p) => get_fs_metadata(
             metadata_fn,
+            syscall,
             webview,
             global_scope,
             command_scope,
@@ -637,6 +3217,7 @@ fn get_metadata<R: Runtime, F: FnOnce(&PathBuf) -> std::io::Result<std::fs::Meta
 #[cfg(not(target_os = "android"))]
 fn get_metadata<R: Runtime, F: FnOnce(&PathBuf) -> std::io::Result<std::fs::Metadata>>(
     metadata_fn: F,
+    syscall: &'static str,
     webview: &Webview<R>,
     global_scope: &GlobalScope<Entry>,
     command_scope: &CommandScope<Entry>,
@@ -645,6 +3226,7 @@ fn get_metadata<R: Runtime, F: FnOnce(&PathBuf) -> std::io::Result<std::fs::Meta
 ) -> CommandResult<std::fs::Metadata> {
     get_fs_metadata(
         metadata_fn,
+        syscall,
         webview,
         global_scope,
         command_scope,
@@ -655,6 +3237,7 @@ fn get_metadata<R: Runtime, F: FnOnce(&PathBuf) -> std::io::Result<std::fs::Meta
 
 fn get_fs_metadata<R: Runtime, F: FnOnce(&PathBuf) -> std::io::Result<std::fs::Metadata>>(
     metadata_fn: F,
+    syscall: &'static str,
     webview: &Webview<R>,
     global_scope: &GlobalScope<Entry>,
     command_scope: &CommandScope<Entry>,
@@ -669,9 +3252,14 @@ fn get_fs_metadata<R: Runtime, F: FnOnce(&PathBuf) -> std::io::Result<std::fs::M
         options.as_ref().and_then(|o| o.base_dir),
     )?;
     let metadata = metadata_fn(&resolved_path).map_err(|e| {
-        format!(
-            "failed to get metadata of path: {} with error: {e}",
-            resolved_path.display()
+        CommandError::fs(
+            e,
+            syscall,
+            Some(resolved_path.clone()),
+            format!(
+                "failed to get metadata of path: {}",
+                resolved_path.display()
+            ),
         )
     })?;
     Ok(metadata)
@@ -687,6 +3275,7 @@ pub fn stat<R: Runtime>(
 ) -> CommandResult<FileInfo> {
     let metadata = get_metadata(
         |p| std::fs::metadata(p),
+        "stat",
         &webview,
         &global_scope,
         &command_scope,
@@ -707,6 +3296,7 @@ pub fn lstat<R: Runtime>(
 ) -> CommandResult<FileInfo> {
     let metadata = get_metadata(
         |p| std::fs::symlink_metadata(p),
+        "lstat",
         &webview,
         &global_scope,
         &command_scope,
@@ -720,10 +3310,245 @@ pub fn lstat<R: Runtime>(
 pub fn fstat<R: Runtime>(webview: Webview<R>, rid: ResourceId) -> CommandResult<FileInfo> {
     let file = webview.resources_table().get::<StdFileResource>(rid)?;
     let metadata = StdFileResource::with_lock(&file, |file| file.metadata())
-        .map_err(|e| format!("failed to get metadata of file with error: {e}"))?;
+        .map_err(|e| CommandError::fs(e, "fstat", None, "failed to get metadata of file".into()))?;
     Ok(get_stat(metadata))
 }
 
+#[cfg(unix)]
+fn permissions_from_mode(mode: u32, _current: std::fs::Permissions) -> std::fs::Permissions {
+    use std::os::unix::fs::PermissionsExt;
+    std::fs::Permissions::from_mode(mode)
+}
+
+#[cfg(not(unix))]
+fn permissions_from_mode(mode: u32, mut current: std::fs::Permissions) -> std::fs::Permissions {
+    // Windows only has a read-only flag, set it when nobody may write
+    current.set_readonly(mode & 0o222 == 0);
+    current
+}
+
+#[tauri::command]
+pub fn chmod<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    mode: u32,
+    options: Option<BaseOptions>,
+) -> CommandResult<()> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base_dir),
+    )?;
+    std::fs::metadata(&resolved_path)
+        .and_then(|metadata| {
+            std::fs::set_permissions(
+                &resolved_path,
+                permissions_from_mode(mode, metadata.permissions()),
+            )
+        })
+        .map_err(|e| {
+            CommandError::fs(
+                e,
+                "chmod",
+                Some(resolved_path.clone()),
+                format!(
+                    "failed to change permissions of path: {}",
+                    resolved_path.display()
+                ),
+            )
+        })
+}
+
+#[tauri::command]
+pub async fn fchmod<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+    mode: u32,
+) -> CommandResult<()> {
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    StdFileResource::with_lock(&file, |file| {
+        file.metadata().and_then(|metadata| {
+            file.set_permissions(permissions_from_mode(mode, metadata.permissions()))
+        })
+    })
+    .map_err(|e| {
+        CommandError::fs(
+            e,
+            "fchmod",
+            None,
+            "failed to change permissions of file".into(),
+        )
+    })
+}
+
+fn chown_inner(
+    path: &Path,
+    uid: Option<u32>,
+    gid: Option<u32>,
+    follow_symlinks: bool,
+) -> CommandResult<()> {
+    #[cfg(unix)]
+    let result = if follow_symlinks {
+        std::os::unix::fs::chown(path, uid, gid)
+    } else {
+        std::os::unix::fs::lchown(path, uid, gid)
+    };
+    #[cfg(not(unix))]
+    let result = {
+        let _ = (uid, gid);
+        Err(std::io::Error::new(
+            std::io::ErrorKind::Unsupported,
+            "changing the owner of a file is not supported on this platform",
+        ))
+    };
+
+    result.map_err(|e| {
+        CommandError::fs(
+            e,
+            if follow_symlinks { "chown" } else { "lchown" },
+            Some(path.to_path_buf()),
+            format!("failed to change owner of path: {}", path.display()),
+        )
+    })
+}
+
+/// Changes the owner and group of a path, `None` leaves the id unchanged. Not supported on Windows.
+#[tauri::command]
+pub fn chown<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    uid: Option<u32>,
+    gid: Option<u32>,
+    options: Option<BaseOptions>,
+) -> CommandResult<()> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base_dir),
+    )?;
+    chown_inner(&resolved_path, uid, gid, true)
+}
+
+/// Like [`chown`] but changes a symlink itself instead of its target.
+#[tauri::command]
+pub fn lchown<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    uid: Option<u32>,
+    gid: Option<u32>,
+    options: Option<BaseOptions>,
+) -> CommandResult<()> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base_dir),
+    )?;
+    chown_inner(&resolved_path, uid, gid, false)
+}
+
+/// Converts milliseconds since the UNIX epoch, as used by the frontend, to a [`filetime::FileTime`].
+fn file_time_from_msec(msec: f64) -> filetime::FileTime {
+    let secs = (msec / 1000.0).floor();
+    let nanos = ((msec - secs * 1000.0) * 1_000_000.0) as u32;
+    filetime::FileTime::from_unix_time(secs as i64, nanos)
+}
+
+fn utimes_inner(path: &Path, atime: f64, mtime: f64, follow_symlinks: bool) -> CommandResult<()> {
+    let (atime, mtime) = (file_time_from_msec(atime), file_time_from_msec(mtime));
+    if follow_symlinks {
+        filetime::set_file_times(path, atime, mtime)
+    } else {
+        filetime::set_symlink_file_times(path, atime, mtime)
+    }
+    .map_err(|e| {
+        CommandError::fs(
+            e,
+            if follow_symlinks { "utimes" } else { "lutimes" },
+            Some(path.to_path_buf()),
+            format!("failed to set timestamps of path: {}", path.display()),
+        )
+    })
+}
+
+/// Sets the access and modification times of a path, in milliseconds since the UNIX epoch.
+#[tauri::command]
+pub fn utimes<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    atime: f64,
+    mtime: f64,
+    options: Option<BaseOptions>,
+) -> CommandResult<()> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base_dir),
+    )?;
+    utimes_inner(&resolved_path, atime, mtime, true)
+}
+
+/// Like [`utimes`] but changes a symlink itself instead of its target.
+#[tauri::command]
+pub fn lutimes<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    atime: f64,
+    mtime: f64,
+    options: Option<BaseOptions>,
+) -> CommandResult<()> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base_dir),
+    )?;
+    utimes_inner(&resolved_path, atime, mtime, false)
+}
+
+#[tauri::command]
+pub async fn futimes<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+    atime: f64,
+    mtime: f64,
+) -> CommandResult<()> {
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    StdFileResource::with_lock(&file, |file| {
+        filetime::set_file_handle_times(
+            file,
+            Some(file_time_from_msec(atime)),
+            Some(file_time_from_msec(mtime)),
+        )
+    })
+    .map_err(|e| {
+        CommandError::fs(
+            e,
+            "futimes",
+            None,
+            "failed to set timestamps of file".into(),
+        )
+    })
+}
+
 #[tauri::command]
 pub async fn truncate<R: Runtime>(
     webview: Webview<R>,
@@ -744,19 +3569,24 @@ pub async fn truncate<R: Runtime>(
         .write(true)
         .open(&resolved_path)
         .map_err(|e| {
-            format!(
-                "failed to open file at path: {} with error: {e}",
-                resolved_path.display()
+            CommandError::fs(
+                e,
+                "open",
+                Some(resolved_path.clone()),
+                format!("failed to open file at path: {}", resolved_path.display()),
             )
         })?;
-    f.set_len(len.unwrap_or(0))
-        .map_err(|e| {
+    f.set_len(len.unwrap_or(0)).map_err(|e| {
+        CommandError::fs(
+            e,
+            "truncate",
+            Some(resolved_path.clone()),
             format!(
-                "failed to truncate file at path: {} with error: {e}",
+                "failed to truncate file at path: {}",
                 resolved_path.display()
-            )
-        })
-        .map_err(Into::into)
+            ),
+        )
+    })
 }
 
 #[tauri::command]
@@ -767,8 +3597,61 @@ pub async fn ftruncate<R: Runtime>(
 ) -> CommandResult<()> {
     let file = webview.resources_table().get::<StdFileResource>(rid)?;
     StdFileResource::with_lock(&file, |file| file.set_len(len.unwrap_or(0)))
-        .map_err(|e| format!("failed to truncate file with error: {e}"))
-        .map_err(Into::into)
+        .map_err(|e| CommandError::fs(e, "ftruncate", None, "failed to truncate file".into()))
+}
+
+/// Waits until a lock on the whole file is acquired, see [`crate::lock`].
+///
+/// The wait happens on a blocking thread, other operations on the file go on in the meantime.
+#[tauri::command]
+pub async fn lock<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+    exclusive: bool,
+) -> CommandResult<()> {
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    file.spawn_blocking(move |file| crate::lock::lock(file, exclusive))
+        .await?
+        .map_err(|e| CommandError::fs(e, "flock", None, "failed to lock file".into()))
+}
+
+/// Tries to acquire a lock on the whole file and returns whether it succeeded.
+#[tauri::command]
+pub async fn try_lock<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+    exclusive: bool,
+) -> CommandResult<bool> {
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    file.spawn_blocking(move |file| crate::lock::try_lock(file, exclusive))
+        .await?
+        .map_err(|e| CommandError::fs(e, "flock", None, "failed to lock file".into()))
+}
+
+#[tauri::command]
+pub async fn unlock<R: Runtime>(webview: Webview<R>, rid: ResourceId) -> CommandResult<()> {
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    file.spawn_blocking(crate::lock::unlock)
+        .await?
+        .map_err(|e| CommandError::fs(e, "flock", None, "failed to unlock file".into()))
+}
+
+/// Flushes the contents and metadata of the file to disk.
+#[tauri::command]
+pub async fn fsync<R: Runtime>(webview: Webview<R>, rid: ResourceId) -> CommandResult<()> {
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    file.spawn_blocking(File::sync_all)
+        .await?
+        .map_err(|e| CommandError::fs(e, "fsync", None, "failed to sync file".into()))
+}
+
+/// Flushes the contents of the file to disk, and only the metadata needed to read them back.
+#[tauri::command]
+pub async fn fdatasync<R: Runtime>(webview: Webview<R>, rid: ResourceId) -> CommandResult<()> {
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    file.spawn_blocking(File::sync_data)
+        .await?
+        .map_err(|e| CommandError::fs(e, "fdatasync", None, "failed to sync file data".into()))
 }
 
 #[tauri::command]
@@ -779,8 +3662,20 @@ pub async fn write<R: Runtime>(
 ) -> CommandResult<usize> {
     let file = webview.resources_table().get::<StdFileResource>(rid)?;
     StdFileResource::with_lock(&file, |mut file| file.write(&data))
-        .map_err(|e| format!("failed to write bytes to file with error: {e}"))
-        .map_err(Into::into)
+        .map_err(|e| CommandError::fs(e, "write", None, "failed to write bytes to file".into()))
+}
+
+/// Writes `data` starting at `position` without moving the file cursor.
+#[tauri::command]
+pub async fn write_at<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+    data: Vec<u8>,
+    position: u64,
+) -> CommandResult<usize> {
+    let file = webview.resources_table().get::<StdFileResource>(rid)?;
+    StdFileResource::with_lock(&file, |file| write_at_position(file, &data, position))
+        .map_err(|e| CommandError::fs(e, "pwrite", None, "failed to write bytes to file".into()))
 }
 
 #[derive(Debug, Clone, Deserialize)]
@@ -796,10 +3691,231 @@ pub struct WriteFileOptions {
     create_new: bool,
     #[allow(unused)]
     mode: Option<u32>,
+    /// Write to a temporary file next to the target and rename it over the target.
+    #[serde(default)]
+    atomic: bool,
+    /// Whether to fsync the parent directory after an atomic write.
+    #[serde(default)]
+    sync_parent_dir: bool,
+    /// Whether to fsync the file before returning. Atomic writes always do.
+    #[serde(default)]
+    sync: bool,
+    /// The encoding to write text in, only used by `write_text_file`.
+    encoding: Option<String>,
+    /// Whether to prefix text with a byte order mark, only used by `write_text_file`.
+    #[serde(default)]
+    bom: bool,
+    /// Compress the data while writing it. Appending adds a new gzip member or zstd frame.
+    compression: Option<Compression>,
+    compression_level: Option<u32>,
+}
+
+/// Writes `data` to `file`, compressing it when the `compression` option is set.
+fn write_contents(
+    file: &mut File,
+    data: &[u8],
+    options: Option<&WriteFileOptions>,
+) -> std::io::Result<()> {
+    match options.and_then(|o| o.compression.map(|c| (c, o.compression_level))) {
+        Some((compression, level)) => compression
+            .compress(data, std::io::BufWriter::new(file), level)?
+            .flush(),
+        None => file.write_all(data),
+    }
+}
+
+fn default_create_value() -> bool {
+    true
+}
+
+/// The limit of symlinks followed when resolving a path, the same as Linux's `MAXSYMLINKS`.
+const MAX_SYMLINK_DEPTH: usize = 40;
+
+/// Follows the symlinks at `path` to the file a write through it ends up in, which may not exist yet.
+fn resolve_symlinks(path: &Path) -> std::io::Result<PathBuf> {
+    let mut path = path.to_path_buf();
+    for _ in 0..MAX_SYMLINK_DEPTH {
+        match std::fs::symlink_metadata(&path) {
+            Ok(metadata) if metadata.file_type().is_symlink() => {
+                // relative targets are resolved against the directory of the link
+                let target = std::fs::read_link(&path)?;
+                path = path.parent().unwrap_or(Path::new("")).join(target);
+            }
+            _ => return Ok(path),
+        }
+    }
+    Err(std::io::Error::new(
+        std::io::ErrorKind::InvalidInput,
+        "too many levels of symbolic links",
+    ))
 }
 
-fn default_create_value() -> bool {
-    true
+/// Writes `data` to a temporary file in the same directory as `path`,
+/// fsyncs it and renames it over `path`, so readers never see a partial write.
+///
+/// If `path` is a symlink its target is replaced and the link is kept.
+fn write_file_atomic(path: &Path, data: &[u8], options: &WriteFileOptions) -> CommandResult<()> {
+    if options.append {
+        return Err(Error::InvalidInput(
+            "the `append` and `atomic` options cannot be used together".into(),
+        )
+        .into());
+    }
+
+    let path = &resolve_symlinks(path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "readlink",
+            Some(path.to_path_buf()),
+            format!("failed to read link at path: {}", path.display()),
+        )
+    })?;
+
+    let existing = match std::fs::metadata(path) {
+        Ok(_) if options.create_new => {
+            return Err(CommandError::fs(
+                std::io::ErrorKind::AlreadyExists.into(),
+                "open",
+                Some(path.to_path_buf()),
+                format!("failed to open file at path: {}", path.display()),
+            ));
+        }
+        Ok(metadata) => Some(metadata),
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound && options.create => None,
+        Err(e) => {
+            return Err(CommandError::fs(
+                e,
+                "open",
+                Some(path.to_path_buf()),
+                format!("failed to open file at path: {}", path.display()),
+            ));
+        }
+    };
+
+    let file_name = path.file_name().ok_or_else(|| {
+        Error::InvalidInput(format!("path has no file name: {}", path.display()).into())
+    })?;
+    let dir = path
+        .parent()
+        .filter(|p| !p.as_os_str().is_empty())
+        .unwrap_or_else(|| Path::new("."));
+    let temp_path = dir.join(format!(
+        ".{}.{}.tmp",
+        file_name.to_string_lossy(),
+        uuid::Uuid::new_v4().simple()
+    ));
+
+    let write_temp = || -> CommandResult<()> {
+        let mut file = std::fs::OpenOptions::from(crate::OpenOptions {
+            read: false,
+            write: true,
+            create: false,
+            create_new: true,
+            truncate: false,
+            append: false,
+            mode: options.mode,
+            custom_flags: None,
+        })
+        .open(&temp_path)
+        .map_err(|e| {
+            CommandError::fs(
+                e,
+                "open",
+                Some(temp_path.clone()),
+                format!("failed to open file at path: {}", temp_path.display()),
+            )
+        })?;
+
+        if let Some(metadata) = &existing {
+            // before setting the permissions, changing the owner may clear the setuid bits
+            #[cfg(unix)]
+            {
+                use std::os::unix::fs::MetadataExt;
+
+                match std::os::unix::fs::fchown(&file, Some(metadata.uid()), Some(metadata.gid())) {
+                    // only privileged processes can give files away,
+                    // the new file is owned by the current user then
+                    Err(e) if e.kind() != std::io::ErrorKind::PermissionDenied => {
+                        return Err(CommandError::fs(
+                            e,
+                            "fchown",
+                            Some(temp_path.clone()),
+                            format!(
+                                "failed to change owner of file at path: {}",
+                                temp_path.display()
+                            ),
+                        ));
+                    }
+                    _ => {}
+                }
+            }
+
+            file.set_permissions(metadata.permissions()).map_err(|e| {
+                CommandError::fs(
+                    e,
+                    "fchmod",
+                    Some(temp_path.clone()),
+                    format!(
+                        "failed to set permissions of file at path: {}",
+                        temp_path.display()
+                    ),
+                )
+            })?;
+        }
+
+        write_contents(&mut file, data, Some(options)).map_err(|e| {
+            CommandError::fs(
+                e,
+                "write",
+                Some(temp_path.clone()),
+                format!(
+                    "failed to write bytes to file at path: {}",
+                    temp_path.display()
+                ),
+            )
+        })?;
+        file.sync_all().map_err(|e| {
+            CommandError::fs(
+                e,
+                "fsync",
+                Some(temp_path.clone()),
+                format!("failed to sync file at path: {}", temp_path.display()),
+            )
+        })?;
+
+        std::fs::rename(&temp_path, path).map_err(|e| {
+            CommandError::fs(
+                e,
+                "rename",
+                Some(temp_path.clone()),
+                format!(
+                    "failed to rename temporary file: {}, to path: {}",
+                    temp_path.display(),
+                    path.display()
+                ),
+            )
+        })
+    };
+
+    if let Err(e) = write_temp() {
+        let _ = std::fs::remove_file(&temp_path);
+        return Err(e);
+    }
+
+    // directories can't be opened for syncing on Windows
+    #[cfg(unix)]
+    if options.sync_parent_dir {
+        File::open(dir).and_then(|d| d.sync_all()).map_err(|e| {
+            CommandError::fs(
+                e,
+                "fsync",
+                Some(dir.to_path_buf()),
+                format!("failed to sync directory at path: {}", dir.display()),
+            )
+        })?;
+    }
+
+    Ok(())
 }
 
 fn write_file_inner<R: Runtime>(
@@ -807,6 +3923,7 @@ fn write_file_inner<R: Runtime>(
     global_scope: &GlobalScope<Entry>,
     command_scope: &CommandScope<Entry>,
     request: tauri::ipc::Request<'_>,
+    text: bool,
 ) -> CommandResult<()> {
     let data = match request.body() {
         tauri::ipc::InvokeBody::Raw(data) => Cow::Borrowed(data),
@@ -815,17 +3932,17 @@ fn write_file_inner<R: Runtime>(
                 .flat_map(|v| v.as_number().and_then(|v| v.as_u64().map(|v| v as u8)))
                 .collect(),
         ),
-        _ => return Err(anyhow::anyhow!("unexpected invoke body").into()),
+        _ => return Err(Error::InvalidInput("unexpected invoke body".into()).into()),
     };
 
     let path = request
         .headers()
         .get("path")
-        .ok_or_else(|| anyhow::anyhow!("missing file path").into())
+        .ok_or_else(|| Error::InvalidInput("missing file path".into()).into())
         .and_then(|p| {
             percent_encoding::percent_decode(p.as_ref())
                 .decode_utf8()
-                .map_err(|_| anyhow::anyhow!("path is not a valid UTF-8").into())
+                .map_err(|_| Error::InvalidInput("path is not a valid UTF-8".into()).into())
         })
         .and_then(|p| SafeFilePath::from_str(&p).map_err(CommandError::from))?;
     let options: Option<WriteFileOptions> = request
@@ -834,12 +3951,49 @@ fn write_file_inner<R: Runtime>(
         .and_then(|p| p.to_str().ok())
         .and_then(|opts| serde_json::from_str(opts).ok());
 
+    // the frontend always sends text as UTF-8
+    let data = match options.as_ref() {
+        Some(opts) if text && (opts.encoding.is_some() || opts.bom) => {
+            let contents = std::str::from_utf8(&data)
+                .map_err(|_| Error::InvalidInput("text is not valid UTF-8".into()))?;
+            let encoding = match opts.encoding.as_deref() {
+                Some(label) => TextEncoding::from_label(label)?,
+                None => TextEncoding::Auto,
+            };
+            Cow::Owned(encoding.encode(contents, opts.bom)?)
+        }
+        _ => data,
+    };
+
+    if let Some(opts) = options.as_ref() {
+        if let Some(compression) = opts.compression {
+            compression.ensure_enabled()?;
+        }
+        if opts.append && opts.compression.is_some_and(|c| !c.supports_append()) {
+            return Err(Error::InvalidInput(
+                "the `append` option cannot be used with brotli compression".into(),
+            )
+            .into());
+        }
+    }
+
+    if let Some(opts) = options.as_ref().filter(|opts| opts.atomic) {
+        let path = resolve_path(
+            &webview,
+            global_scope,
+            command_scope,
+            path,
+            opts.base.base_dir,
+        )?;
+        return write_file_atomic(&path, &data, opts);
+    }
+
     let (mut file, path) = resolve_file(
         &webview,
         global_scope,
         command_scope,
         path,
-        if let Some(opts) = options {
+        if let Some(opts) = options.clone() {
             OpenOptions {
                 base: opts.base,
                 options: crate::OpenOptions {
@@ -870,14 +4024,27 @@ fn write_file_inner<R: Runtime>(
         },
     )?;
 
-    file.write_all(&data)
-        .map_err(|e| {
-            format!(
-                "failed to write bytes to file at path: {} with error: {e}",
-                path.display()
+    write_contents(&mut file, &data, options.as_ref()).map_err(|e| {
+        CommandError::fs(
+            e,
+            "write",
+            Some(path.clone()),
+            format!("failed to write bytes to file at path: {}", path.display()),
+        )
+    })?;
+
+    if options.as_ref().is_some_and(|opts| opts.sync) {
+        file.sync_all().map_err(|e| {
+            CommandError::fs(
+                e,
+                "fsync",
+                Some(path.clone()),
+                format!("failed to sync file at path: {}", path.display()),
             )
-        })
-        .map_err(Into::into)
+        })?;
+    }
+
+    Ok(())
 }
 
 #[tauri::command]
@@ -887,7 +4054,7 @@ pub async fn write_file<R: Runtime>(
     command_scope: CommandScope<Entry>,
     request: tauri::ipc::Request<'_>,
 ) -> CommandResult<()> {
-    write_file_inner(webview, &global_scope, &command_scope, request)
+    write_file_inner(webview, &global_scope, &command_scope, request, false)
 }
 
 // TODO, in v3, remove this command and rely on `write_file` command only
@@ -898,7 +4065,7 @@ pub async fn write_text_file<R: Runtime>(
     command_scope: CommandScope<Entry>,
     request: tauri::ipc::Request<'_>,
 ) -> CommandResult<()> {
-    write_file_inner(webview, &global_scope, &command_scope, request)
+    write_file_inner(webview, &global_scope, &command_scope, request, true)
 }
 
 #[tauri::command]
@@ -919,6 +4086,230 @@ pub fn exists<R: Runtime>(
     Ok(resolved_path.exists())
 }
 
+#[tauri::command]
+pub fn statfs<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    options: Option<BaseOptions>,
+) -> CommandResult<crate::statfs::FsStats> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base_dir),
+    )?;
+    crate::statfs::statfs(&resolved_path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "statfs",
+            Some(resolved_path.clone()),
+            format!(
+                "failed to get file system statistics of path: {}",
+                resolved_path.display()
+            ),
+        )
+    })
+}
+
+#[derive(Debug, Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct DiskUsageOptions {
+    #[serde(flatten)]
+    base: BaseOptions,
+    /// Whether to include the contents of subdirectories.
+    #[serde(default = "crate::default_true")]
+    recursive: bool,
+}
+
+#[derive(Debug, Default, Clone, Copy, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct DiskUsageTotals {
+    /// Sum of the sizes of all entries.
+    apparent_size: u64,
+    /// Space allocated on disk for all entries, equal to `apparent_size` on Windows.
+    disk_size: u64,
+    files: u64,
+    directories: u64,
+    /// Entries that couldn't be read and are left out of the totals.
+    skipped: u64,
+}
+
+impl std::ops::AddAssign for DiskUsageTotals {
+    fn add_assign(&mut self, other: Self) {
+        self.apparent_size += other.apparent_size;
+        self.disk_size += other.disk_size;
+        self.files += other.files;
+        self.directories += other.directories;
+        self.skipped += other.skipped;
+    }
+}
+
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct DiskUsageEntry {
+    name: String,
+    path: PathBuf,
+    is_directory: bool,
+    #[serde(flatten)]
+    totals: DiskUsageTotals,
+}
+
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct DiskUsage {
+    #[serde(flatten)]
+    totals: DiskUsageTotals,
+    /// The direct children of the path, with the totals of their contents.
+    children: Vec<DiskUsageEntry>,
+}
+
+struct DiskUsageCounter<'a> {
+    scope: &'a tauri::scope::fs::Scope,
+    recursive: bool,
+    /// Files with several hard links, so their size is only counted once.
+    #[cfg(unix)]
+    seen: HashSet<(u64, u64)>,
+}
+
+impl DiskUsageCounter<'_> {
+    fn entry_totals(&mut self, metadata: &std::fs::Metadata) -> DiskUsageTotals {
+        let mut totals = DiskUsageTotals::default();
+        if metadata.is_dir() {
+            totals.directories = 1;
+        } else {
+            totals.files = 1;
+        }
+
+        #[cfg(unix)]
+        {
+            use std::os::unix::fs::MetadataExt;
+            if metadata.nlink() > 1 && !self.seen.insert((metadata.dev(), metadata.ino())) {
+                return totals;
+            }
+            totals.disk_size = metadata.blocks() * 512;
+        }
+        #[cfg(not(unix))]
+        {
+            totals.disk_size = metadata.len();
+        }
+        totals.apparent_size = metadata.len();
+
+        totals
+    }
+
+    /// Like `du`, unreadable entries below `path` are counted as skipped instead of failing.
+    fn count(&mut self, path: &Path, metadata: &std::fs::Metadata) -> DiskUsageTotals {
+        let mut totals = self.entry_totals(metadata);
+        if self.recursive && metadata.is_dir() {
+            match self.children(path) {
+                Ok((children, skipped)) => {
+                    totals.skipped += skipped;
+                    for (child, child_metadata) in children {
+                        totals += self.count(&child, &child_metadata);
+                    }
+                }
+                Err(_) => totals.skipped += 1,
+            }
+        }
+        totals
+    }
+
+    /// The entries of `dir` that are allowed by the scope, symlinks are not followed.
+    /// Also returns the number of entries whose metadata couldn't be read.
+    fn children(&self, dir: &Path) -> std::io::Result<(Vec<(PathBuf, std::fs::Metadata)>, u64)> {
+        let mut children = Vec::new();
+        let mut skipped = 0;
+        for entry in std::fs::read_dir(dir)? {
+            let Ok(entry) = entry else {
+                skipped += 1;
+                continue;
+            };
+            let path = entry.path();
+            if !self.scope.is_allowed(&path) {
+                continue;
+            }
+            match std::fs::symlink_metadata(&path) {
+                Ok(metadata) => children.push((path, metadata)),
+                Err(_) => skipped += 1,
+            }
+        }
+        Ok((children, skipped))
+    }
+}
+
+/// Computes how much space a file or directory takes, with a breakdown per direct child.
+#[tauri::command]
+pub async fn disk_usage<R: Runtime>(
+    webview: Webview<R>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+    path: SafeFilePath,
+    options: Option<DiskUsageOptions>,
+) -> CommandResult<DiskUsage> {
+    let resolved_path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.as_ref().and_then(|o| o.base.base_dir),
+    )?;
+    let scope = resolve_scope(&webview, &global_scope, &command_scope)?;
+
+    let metadata = std::fs::symlink_metadata(&resolved_path).map_err(|e| {
+        CommandError::fs(
+            e,
+            "lstat",
+            Some(resolved_path.clone()),
+            format!(
+                "failed to get metadata of path: {}",
+                resolved_path.display()
+            ),
+        )
+    })?;
+
+    let mut counter = DiskUsageCounter {
+        scope: &scope,
+        recursive: options.map_or(true, |o| o.recursive),
+        #[cfg(unix)]
+        seen: HashSet::new(),
+    };
+
+    let mut totals = counter.entry_totals(&metadata);
+    let mut children = Vec::new();
+    if metadata.is_dir() {
+        let (entries, skipped) = counter.children(&resolved_path).map_err(|e| {
+            CommandError::fs(
+                e,
+                "read_dir",
+                Some(resolved_path.clone()),
+                format!(
+                    "failed to read directory at path: {}",
+                    resolved_path.display()
+                ),
+            )
+        })?;
+        totals.skipped += skipped;
+        for (child, child_metadata) in entries {
+            let child_totals = counter.count(&child, &child_metadata);
+            totals += child_totals;
+            children.push(DiskUsageEntry {
+                name: child
+                    .file_name()
+                    .map(|name| name.to_string_lossy().into_owned())
+                    .unwrap_or_default(),
+                is_directory: child_metadata.is_dir(),
+                path: child,
+                totals: child_totals,
+            });
+        }
+    }
+
+    Ok(DiskUsage { totals, children })
+}
+
 #[cfg(not(target_os = "android"))]
 pub fn resolve_file<R: Runtime>(
     webview: &Webview<R>,
@@ -948,9 +4339,11 @@ fn resolve_file_in_fs<R: Runtime>(
     let file = std::fs::OpenOptions::from(open_options.options)
         .open(&path)
         .map_err(|e| {
-            format!(
-                "failed to open file at path: {} with error: {e}",
-                path.display()
+            CommandError::fs(
+                e,
+                "open",
+                Some(path.clone()),
+                format!("failed to open file at path: {}", path.display()),
             )
         })?;
     Ok((file, path))
@@ -996,7 +4389,25 @@ pub fn resolve_path<R: Runtime>(
         path
     };
 
-    let scope = tauri::scope::fs::Scope::new(
+    let scope = resolve_scope(webview, global_scope, command_scope)?;
+
+    if scope.is_allowed(&path) {
+        Ok(path)
+    } else {
+        Err(CommandError::Plugin(Error::PathForbidden(path)))
+    }
+}
+
+/// Builds the fs scope that applies to a command invoked from `webview`,
+/// combining the runtime scope with the global and command scopes.
+///
+/// Use it instead of [`resolve_path`] when a command needs to check many paths.
+pub fn resolve_scope<R: Runtime>(
+    webview: &Webview<R>,
+    global_scope: &GlobalScope<Entry>,
+    command_scope: &CommandScope<Entry>,
+) -> CommandResult<tauri::scope::fs::Scope> {
+    tauri::scope::fs::Scope::new(
         webview,
         &FsScope::Scope {
             allow: webview
@@ -1021,38 +4432,189 @@ pub fn resolve_path<R: Runtime>(
                 .collect(),
             require_literal_leading_dot: webview.fs_scope().require_literal_leading_dot,
         },
-    )?;
-
-    if scope.is_allowed(&path) {
-        Ok(path)
-    } else {
-        Err(CommandError::Plugin(Error::PathForbidden(path)))
-    }
+    )
+    .map_err(Into::into)
 }
 
-struct StdFileResource(Mutex<File>);
+struct StdFileResource {
+    file: Mutex<File>,
+    // declared after `file` so the file is closed before it is deleted
+    temp_path: Option<TempPath>,
+}
 
 impl StdFileResource {
     fn new(file: File) -> Self {
-        Self(Mutex::new(file))
+        Self {
+            file: Mutex::new(file),
+            temp_path: None,
+        }
+    }
+
+    fn temp(file: File, temp_path: Option<TempPath>) -> Self {
+        Self {
+            file: Mutex::new(file),
+            temp_path,
+        }
     }
 
     fn with_lock<R, F: FnMut(&File) -> R>(&self, mut f: F) -> R {
-        let file = self.0.lock().unwrap();
+        let file = self.file.lock().unwrap();
         f(&file)
     }
+
+    /// Runs `f` with a duplicate of the file handle on a blocking thread, for calls that may wait for a long time.
+    ///
+    /// The duplicate shares the file locks and the cursor of the file, but not the mutex,
+    /// so other operations on the file don't wait for `f`.
+    async fn spawn_blocking<T: Send + 'static>(
+        &self,
+        f: impl FnOnce(&File) -> std::io::Result<T> + Send + 'static,
+    ) -> tauri::Result<std::io::Result<T>> {
+        let file = match self.with_lock(File::try_clone) {
+            Ok(file) => file,
+            Err(e) => return Ok(Err(e)),
+        };
+        tauri::async_runtime::spawn_blocking(move || f(&file)).await
+    }
 }
 
 impl Resource for StdFileResource {}
 
-struct StdLinesResource(Mutex<Lines<BufReader<File>>>);
+/// A temporary file or directory that is deleted when dropped,
+/// which also happens when the webview's resource table is dropped.
+struct TempPath {
+    path: PathBuf,
+    is_dir: bool,
+}
+
+impl Drop for TempPath {
+    fn drop(&mut self) {
+        let _ = if self.is_dir {
+            std::fs::remove_dir_all(&self.path)
+        } else {
+            std::fs::remove_file(&self.path)
+        };
+    }
+}
+
+struct TempDirResource(#[allow(dead_code)] Option<TempPath>);
+
+impl Resource for TempDirResource {}
+
+/// Lets the frontend cancel a long running command by closing this resource.
+#[derive(Default)]
+struct CancellationResource(AtomicBool);
+
+impl CancellationResource {
+    /// Adds a new resource to the resource table of `webview`.
+    /// The caller is responsible for taking it out of the table again once the command is done.
+    fn register<R: Runtime>(webview: &Webview<R>) -> (ResourceId, Arc<Self>) {
+        let cancellation = Arc::new(Self::default());
+        let rid = webview.resources_table().add_arc(cancellation.clone());
+        (rid, cancellation)
+    }
+
+    fn is_cancelled(&self) -> bool {
+        self.0.load(Ordering::Relaxed)
+    }
+}
+
+impl Resource for CancellationResource {
+    fn close(self: Arc<Self>) {
+        self.0.store(true, Ordering::Relaxed);
+    }
+}
+
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct TextLine {
+    line: String,
+    /// 1-based line number.
+    line_number: u64,
+    /// Byte offset of the start of the line, in the decoded UTF-8 text if an encoding was set.
+    offset: u64,
+}
+
+/// Splits text into lines on `\n`, `\r\n` and `\r`, keeping track of where each line starts.
+struct TextLines {
+    reader: BufReader<Box<dyn Read + Send>>,
+    offset: u64,
+    line_number: u64,
+    /// The previous line ended in `\r`, so a leading `\n` belongs to that line ending.
+    after_cr: bool,
+}
+
+impl TextLines {
+    fn new(reader: BufReader<Box<dyn Read + Send>>) -> Self {
+        Self {
+            reader,
+            offset: 0,
+            line_number: 0,
+            after_cr: false,
+        }
+    }
+
+    fn next_line(&mut self) -> std::io::Result<Option<TextLine>> {
+        use std::io::BufRead;
+
+        let mut line = Vec::new();
+        let mut start = None;
+        loop {
+            let available = self.reader.fill_buf()?;
+            if available.is_empty() {
+                break;
+            }
+
+            if std::mem::take(&mut self.after_cr) && available[0] == b'\n' {
+                self.reader.consume(1);
+                self.offset += 1;
+                continue;
+            }
+
+            start.get_or_insert(self.offset);
+            let (consumed, ended) = match available.iter().position(|b| matches!(b, b'\n' | b'\r'))
+            {
+                Some(i) => {
+                    line.extend_from_slice(&available[..i]);
+                    self.after_cr = available[i] == b'\r';
+                    (i + 1, true)
+                }
+                None => {
+                    line.extend_from_slice(available);
+                    (available.len(), false)
+                }
+            };
+            self.reader.consume(consumed);
+            self.offset += consumed as u64;
+
+            if ended {
+                break;
+            }
+        }
+
+        let Some(offset) = start else {
+            return Ok(None);
+        };
+        // like before 2.1.0 files that aren't valid UTF-8 can still be read, set an encoding to decode them properly
+        let line = String::from_utf8_lossy(&line).into_owned();
+        self.line_number += 1;
+
+        Ok(Some(TextLine {
+            line,
+            line_number: self.line_number,
+            offset,
+        }))
+    }
+}
+
+struct StdLinesResource(Mutex<TextLines>);
 
 impl StdLinesResource {
-    fn new(lines: Lines<BufReader<File>>) -> Self {
+    fn new(lines: TextLines) -> Self {
         Self(Mutex::new(lines))
     }
 
-    fn with_lock<R, F: FnMut(&mut Lines<BufReader<File>>) -> R>(&self, mut f: F) -> R {
+    fn with_lock<R, F: FnMut(&mut TextLines) -> R>(&self, mut f: F) -> R {
         let mut lines = self.0.lock().unwrap();
         f(&mut lines)
     }
@@ -1165,4 +4727,261 @@ mod test {
             Ok(SafeFilePath::Url(_))
         ));
     }
+
+    #[test]
+    fn error_code_from_io() {
+        use super::{CommandError, ErrorCode};
+        use std::io::{Error, ErrorKind};
+
+        let err = CommandError::fs(
+            Error::from(ErrorKind::NotFound),
+            "open",
+            Some("foo.txt".into()),
+            "failed to open file at path: foo.txt".into(),
+        );
+        assert_eq!(err.code(), ErrorCode::NotFound);
+
+        let payload = serde_json::to_value(&err).unwrap();
+        assert_eq!(payload["code"], "NotFound");
+        assert_eq!(payload["syscall"], "open");
+        assert_eq!(payload["path"], "foo.txt");
+
+        assert_eq!(
+            CommandError::from(Error::from(ErrorKind::PermissionDenied)).code(),
+            ErrorCode::PermissionDenied
+        );
+        assert_eq!(
+            CommandError::from(crate::Error::PathForbidden("foo.txt".into())).code(),
+            ErrorCode::ScopeForbidden
+        );
+    }
+
+    #[test]
+    fn matches_any_patterns() {
+        use super::{compile_patterns, matches_any};
+        use std::path::Path;
+
+        let patterns = compile_patterns(&["*.txt".into(), "src/**/*.rs".into()]).unwrap();
+        assert!(matches_any(&patterns, "a.txt", Path::new("docs/a.txt")));
+        // dotfiles are matched too
+        assert!(matches_any(&patterns, ".a.txt", Path::new(".a.txt")));
+        assert!(matches_any(&patterns, "lib.rs", Path::new("src/lib.rs")));
+        assert!(matches_any(
+            &patterns,
+            "mod.rs",
+            Path::new("src/a/.b/mod.rs")
+        ));
+        // patterns with a separator only match the relative path
+        assert!(!matches_any(&patterns, "lib.rs", Path::new("lib.rs")));
+        assert!(!matches_any(&patterns, "a.txt.bak", Path::new("a.txt.bak")));
+
+        assert!(compile_patterns(&["[".into()]).is_err());
+    }
+
+    #[cfg(unix)]
+    #[test]
+    fn symlink_target_scope() {
+        use super::check_symlink_target;
+        use std::path::Path;
+
+        let root =
+            std::env::temp_dir().join(format!("tauri-plugin-fs-{}", uuid::Uuid::new_v4().simple()));
+        let allowed = root.join("allowed");
+        std::fs::create_dir_all(&allowed).unwrap();
+        let root = dunce::canonicalize(&root).unwrap();
+        let allowed = root.join("allowed");
+        std::fs::write(root.join("secret"), "").unwrap();
+        // a link in the scope that points out of it
+        std::os::unix::fs::symlink(&root, allowed.join("escape")).unwrap();
+
+        let is_allowed = |path: &Path| path.starts_with(&allowed);
+        let link = allowed.join("link");
+        let results = [
+            "file",
+            "./dir/../file",
+            "../secret",
+            "dir/../../secret",
+            "escape/secret",
+        ]
+        .map(|target| check_symlink_target(&is_allowed, &link, Path::new(target)).is_ok());
+        let absolute = check_symlink_target(&is_allowed, &link, &root.join("secret")).is_ok();
+        std::fs::remove_dir_all(&root).unwrap();
+
+        assert_eq!(results, [true, true, false, false, false]);
+        assert!(!absolute);
+    }
+
+    #[cfg(unix)]
+    #[test]
+    fn resolve_symlinks_chain() {
+        use super::resolve_symlinks;
+        use std::os::unix::fs::symlink;
+
+        let root =
+            std::env::temp_dir().join(format!("tauri-plugin-fs-{}", uuid::Uuid::new_v4().simple()));
+        std::fs::create_dir_all(root.join("sub")).unwrap();
+        std::fs::write(root.join("file"), "").unwrap();
+        symlink("../file", root.join("sub/relative")).unwrap();
+        symlink(root.join("sub/relative"), root.join("absolute")).unwrap();
+        symlink("missing", root.join("dangling")).unwrap();
+        symlink("loop", root.join("loop")).unwrap();
+
+        let file = resolve_symlinks(&root.join("file")).unwrap();
+        let chained = resolve_symlinks(&root.join("absolute")).unwrap();
+        let dangling = resolve_symlinks(&root.join("dangling")).unwrap();
+        let looped = resolve_symlinks(&root.join("loop"));
+        std::fs::remove_dir_all(&root).unwrap();
+
+        assert_eq!(file, root.join("file"));
+        // relative targets are joined to the directory of their link
+        assert_eq!(chained, root.join("sub/../file"));
+        // writes through dangling links create their target
+        assert_eq!(dangling, root.join("missing"));
+        assert_eq!(looped.unwrap_err().kind(), std::io::ErrorKind::InvalidInput);
+    }
+
+    fn read_lines(text: &'static [u8], capacity: usize) -> Vec<(String, u64, u64)> {
+        use super::TextLines;
+        use std::io::{BufReader, Read};
+
+        let reader: Box<dyn Read + Send> = Box::new(text);
+        let mut lines = TextLines::new(BufReader::with_capacity(capacity, reader));
+        std::iter::from_fn(|| lines.next_line().unwrap())
+            .map(|l| (l.line, l.line_number, l.offset))
+            .collect()
+    }
+
+    #[test]
+    fn text_lines_line_endings() {
+        for capacity in [1, 2, 3, 8192] {
+            assert_eq!(
+                read_lines(b"a\nbb\r\nc\rd\r\r\ne", capacity),
+                vec![
+                    ("a".into(), 1, 0),
+                    ("bb".into(), 2, 2),
+                    ("c".into(), 3, 6),
+                    ("d".into(), 4, 8),
+                    ("".into(), 5, 10),
+                    ("e".into(), 6, 12),
+                ],
+                "capacity {capacity}"
+            );
+            // a trailing line ending doesn't start another line
+            assert_eq!(read_lines(b"a\r\n", capacity), vec![("a".into(), 1, 0)]);
+            assert_eq!(read_lines(b"", capacity), vec![]);
+        }
+    }
+
+    #[test]
+    fn text_lines_multibyte() {
+        // small buffers split the characters across reads
+        for capacity in [1, 2, 3, 8192] {
+            assert_eq!(
+                read_lines("é€\n😀x".as_bytes(), capacity),
+                vec![("é€".into(), 1, 0), ("😀x".into(), 2, 6)],
+                "capacity {capacity}"
+            );
+            assert_eq!(
+                read_lines(b"a\xffb\n\xe2\x82", capacity),
+                vec![("a\u{fffd}b".into(), 1, 0), ("\u{fffd}".into(), 2, 4)],
+                "capacity {capacity}"
+            );
+        }
+    }
+
+    #[test]
+    fn file_time_from_msec() {
+        let time = |msec| {
+            let time = super::file_time_from_msec(msec);
+            (time.unix_seconds(), time.nanoseconds())
+        };
+        assert_eq!(time(0.0), (0, 0));
+        assert_eq!(time(1500.5), (1, 500_500_000));
+        assert_eq!(time(1_700_000_000_123.0), (1_700_000_000, 123_000_000));
+        // dates before 1970 round down, the nanoseconds are always positive
+        assert_eq!(time(-1.0), (-1, 999_000_000));
+        assert_eq!(time(-0.5), (-1, 999_500_000));
+    }
+
+    #[cfg(feature = "archive")]
+    #[test]
+    fn contained_links() {
+        use super::is_contained_link;
+        use std::path::Path;
+
+        let (root, parent) = (Path::new("/r"), Path::new("/r/a"));
+        let contained = ["b", "./b", "..", "../b", "../a/b/./c"]
+            .map(|target| is_contained_link(root, parent, Path::new(target)));
+        assert_eq!(contained, [true; 5]);
+        // `..` after a name could go through a link extracted later
+        let escaping = ["../..", "../../x", "b/../c", "/r/a/b"]
+            .map(|target| is_contained_link(root, parent, Path::new(target)));
+        assert_eq!(escaping, [false; 4]);
+    }
+
+    #[cfg(all(unix, feature = "archive"))]
+    #[test]
+    fn canonicalize_existing_prefix() {
+        use super::canonicalize_existing;
+        use std::os::unix::fs::symlink;
+
+        let root =
+            std::env::temp_dir().join(format!("tauri-plugin-fs-{}", uuid::Uuid::new_v4().simple()));
+        std::fs::create_dir_all(root.join("dir")).unwrap();
+        let root = dunce::canonicalize(&root).unwrap();
+        symlink("dir", root.join("link")).unwrap();
+        symlink("nowhere", root.join("dangling")).unwrap();
+
+        let missing = canonicalize_existing(&root.join("dir/missing/file"));
+        let linked = canonicalize_existing(&root.join("link/file"));
+        let dangling = canonicalize_existing(&root.join("dangling/file"));
+        std::fs::remove_dir_all(&root).unwrap();
+
+        assert_eq!(missing.unwrap(), root.join("dir/missing/file"));
+        assert_eq!(linked.unwrap(), root.join("dir/file"));
+        assert!(dangling.is_err());
+    }
+
+    #[cfg(all(unix, feature = "archive"))]
+    #[test]
+    fn extract_archive_chained_symlinks() {
+        use super::{extract_entries, ArchiveFormat, ExtractArchiveOptions};
+
+        let root =
+            std::env::temp_dir().join(format!("tauri-plugin-fs-{}", uuid::Uuid::new_v4().simple()));
+        let dest = root.join("dest");
+        let archive = root.join("evil.tar");
+        std::fs::create_dir_all(&root).unwrap();
+
+        // `d` is the destination itself, so `d/x` would point next to it and `x/evil` outside of it
+        let mut builder = tar::Builder::new(std::fs::File::create(&archive).unwrap());
+        for (path, link_target) in [("d", "."), ("d/x", "../foo")] {
+            let mut header = tar::Header::new_gnu();
+            header.set_entry_type(tar::EntryType::Symlink);
+            header.set_size(0);
+            builder.append_link(&mut header, path, link_target).unwrap();
+        }
+        let mut header = tar::Header::new_gnu();
+        header.set_size(4);
+        header.set_mode(0o644);
+        builder
+            .append_data(&mut header, "x/evil", &b"evil"[..])
+            .unwrap();
+        builder.finish().unwrap();
+        drop(builder);
+
+        let result = extract_entries(
+            std::fs::File::open(&archive).unwrap(),
+            ArchiveFormat::Tar,
+            &dest,
+            &ExtractArchiveOptions::default(),
+            &|_| true,
+            None,
+        );
+        let escaped = root.join("foo").exists();
+        std::fs::remove_dir_all(&root).unwrap();
+
+        assert!(result.is_err());
+        assert!(!escaped);
+    }
 }
@@ -0,0 +1,177 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+//! Compression for the `compression` option of the read and write commands.
+//!
+//! The codecs are only built with the `compression` feature, the option fails with an `Unsupported` error otherwise.
+
+use std::io::{self, BufRead, Read, Write};
+
+use serde::Deserialize;
+
+#[cfg(feature = "compression")]
+const BROTLI_BUFFER_SIZE: usize = 4096;
+#[cfg(feature = "compression")]
+const BROTLI_DEFAULT_QUALITY: i32 = 6;
+#[cfg(feature = "compression")]
+const BROTLI_WINDOW_SIZE: i32 = 22;
+
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Deserialize)]
+#[serde(rename_all = "lowercase")]
+pub enum Compression {
+    Gzip,
+    Zstd,
+    Brotli,
+}
+
+impl Compression {
+    /// Whether compressed streams can be appended to each other and still decompress as one stream.
+    pub(crate) fn supports_append(self) -> bool {
+        !matches!(self, Self::Brotli)
+    }
+
+    /// Fails if the plugin was built without the `compression` feature,
+    /// so commands can check it before they modify any file.
+    pub(crate) fn ensure_enabled(self) -> io::Result<()> {
+        #[cfg(feature = "compression")]
+        return Ok(());
+        #[cfg(not(feature = "compression"))]
+        return Err(disabled());
+    }
+
+    /// Wraps `reader` so it yields the decompressed contents.
+    ///
+    /// Concatenated gzip members and zstd frames are decompressed one after the other.
+    #[cfg(feature = "compression")]
+    pub(crate) fn decoder<'a, R: BufRead + 'a>(self, reader: R) -> io::Result<Box<dyn Read + 'a>> {
+        Ok(match self {
+            Self::Gzip => Box::new(flate2::bufread::MultiGzDecoder::new(reader)),
+            Self::Zstd => Box::new(zstd::stream::read::Decoder::with_buffer(reader)?),
+            Self::Brotli => Box::new(brotli::Decompressor::new(reader, BROTLI_BUFFER_SIZE)),
+        })
+    }
+
+    /// Writes `data` compressed to `writer` and returns it.
+    ///
+    /// `level` ranges from 0 to 9 for gzip, 1 to 22 for zstd and 0 to 11 for brotli.
+    #[cfg(feature = "compression")]
+    pub(crate) fn compress<W: Write>(
+        self,
+        data: &[u8],
+        mut writer: W,
+        level: Option<u32>,
+    ) -> io::Result<W> {
+        match self {
+            Self::Gzip => {
+                let mut encoder = flate2::write::GzEncoder::new(
+                    writer,
+                    level.map_or_else(flate2::Compression::default, flate2::Compression::new),
+                );
+                encoder.write_all(data)?;
+                encoder.finish()
+            }
+            Self::Zstd => {
+                let mut encoder = zstd::stream::write::Encoder::new(
+                    writer,
+                    // 0 selects the default level
+                    level.map_or(0, |level| level.min(22) as i32),
+                )?;
+                encoder.write_all(data)?;
+                encoder.finish()
+            }
+            Self::Brotli => {
+                // `CompressorWriter` ignores errors writing the end of the stream, this reports them
+                let params = brotli::enc::BrotliEncoderParams {
+                    quality: level.map_or(BROTLI_DEFAULT_QUALITY, |level| level.min(11) as i32),
+                    lgwin: BROTLI_WINDOW_SIZE,
+                    ..Default::default()
+                };
+                brotli::BrotliCompress(&mut &data[..], &mut writer, &params)?;
+                Ok(writer)
+            }
+        }
+    }
+
+    #[cfg(not(feature = "compression"))]
+    pub(crate) fn decoder<'a, R: BufRead + 'a>(self, _reader: R) -> io::Result<Box<dyn Read + 'a>> {
+        Err(disabled())
+    }
+
+    #[cfg(not(feature = "compression"))]
+    pub(crate) fn compress<W: Write>(
+        self,
+        _data: &[u8],
+        _writer: W,
+        _level: Option<u32>,
+    ) -> io::Result<W> {
+        Err(disabled())
+    }
+}
+
+#[cfg(not(feature = "compression"))]
+fn disabled() -> io::Error {
+    io::Error::new(
+        io::ErrorKind::Unsupported,
+        "the `compression` feature of tauri-plugin-fs is not enabled",
+    )
+}
+
+mod test {
+    #[cfg(feature = "compression")]
+    #[test]
+    fn round_trip() {
+        use super::Compression;
+        use std::io::Read;
+
+        let data = "hello world ".repeat(1000);
+        for compression in [Compression::Gzip, Compression::Zstd, Compression::Brotli] {
+            for level in [None, Some(1), Some(9)] {
+                let compressed = compression
+                    .compress(data.as_bytes(), Vec::new(), level)
+                    .unwrap();
+                assert!(compressed.len() < data.len());
+
+                let mut decompressed = String::new();
+                compression
+                    .decoder(&compressed[..])
+                    .unwrap()
+                    .read_to_string(&mut decompressed)
+                    .unwrap();
+                assert_eq!(decompressed, data, "{compression:?} {level:?}");
+            }
+        }
+    }
+
+    #[cfg(feature = "compression")]
+    #[test]
+    fn appended_streams() {
+        use super::Compression;
+        use std::io::Read;
+
+        for compression in [Compression::Gzip, Compression::Zstd] {
+            assert!(compression.supports_append());
+            let compressed = compression.compress(b"hello ", Vec::new(), None).unwrap();
+            let compressed = compression.compress(b"world", compressed, None).unwrap();
+
+            let mut decompressed = String::new();
+            compression
+                .decoder(&compressed[..])
+                .unwrap()
+                .read_to_string(&mut decompressed)
+                .unwrap();
+            assert_eq!(decompressed, "hello world", "{compression:?}");
+        }
+        assert!(!Compression::Brotli.supports_append());
+    }
+
+    #[cfg(not(feature = "compression"))]
+    #[test]
+    fn disabled() {
+        use super::Compression;
+
+        let err = Compression::Gzip.ensure_enabled().unwrap_err();
+        assert_eq!(err.kind(), std::io::ErrorKind::Unsupported);
+        assert!(Compression::Zstd.decoder(&b""[..]).is_err());
+    }
+}
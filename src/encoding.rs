@@ -0,0 +1,219 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+//! Text encodings for the text file commands, following the WHATWG Encoding Standard.
+
+use std::io::Read;
+
+use encoding_rs::{CoderResult, Decoder, Encoding, UTF_16BE, UTF_16LE, UTF_8};
+
+use crate::{Error, Result};
+
+const READ_BUFFER_SIZE: usize = 8 * 1024;
+
+/// The encoding of a text file.
+#[derive(Debug, Clone, Copy)]
+pub(crate) enum TextEncoding {
+    /// Sniff a byte order mark and fall back to UTF-8.
+    Auto,
+    /// A fixed encoding, a byte order mark for this encoding is still removed.
+    Fixed(&'static Encoding),
+}
+
+impl TextEncoding {
+    /// Resolves `auto` or a WHATWG encoding label, e.g. `utf-16le`, `latin1` or `shift_jis`.
+    pub(crate) fn from_label(label: &str) -> Result<Self> {
+        if label.eq_ignore_ascii_case("auto") {
+            return Ok(Self::Auto);
+        }
+        Encoding::for_label(label.as_bytes())
+            .map(Self::Fixed)
+            .ok_or_else(|| Error::UnsupportedEncoding(label.into()))
+    }
+
+    /// Decodes `bytes` to a string, malformed sequences are replaced with U+FFFD.
+    pub(crate) fn decode(self, bytes: &[u8]) -> String {
+        match self {
+            // `decode` sniffs the BOM and lets it override the given encoding
+            Self::Auto => UTF_8.decode(bytes).0.into_owned(),
+            Self::Fixed(encoding) => encoding.decode_with_bom_removal(bytes).0.into_owned(),
+        }
+    }
+
+    /// Creates a streaming decoder for this encoding.
+    pub(crate) fn new_decoder(self) -> Decoder {
+        match self {
+            Self::Auto => UTF_8.new_decoder(),
+            Self::Fixed(encoding) => encoding.new_decoder_with_bom_removal(),
+        }
+    }
+
+    /// Encodes `text`, prefixed with a byte order mark if `bom` is set and the encoding has one.
+    ///
+    /// Unlike [`Encoding::encode`], this writes UTF-16 instead of falling back to UTF-8
+    /// and fails instead of emitting HTML character references for unmappable characters.
+    pub(crate) fn encode(self, text: &str, bom: bool) -> Result<Vec<u8>> {
+        let encoding = match self {
+            Self::Auto => UTF_8,
+            Self::Fixed(encoding) => encoding,
+        };
+
+        let mut out = Vec::with_capacity(text.len() + 3);
+        if encoding == UTF_16LE {
+            if bom {
+                out.extend([0xFF, 0xFE]);
+            }
+            out.extend(text.encode_utf16().flat_map(u16::to_le_bytes));
+        } else if encoding == UTF_16BE {
+            if bom {
+                out.extend([0xFE, 0xFF]);
+            }
+            out.extend(text.encode_utf16().flat_map(u16::to_be_bytes));
+        } else {
+            if bom && encoding == UTF_8 {
+                out.extend([0xEF, 0xBB, 0xBF]);
+            }
+            let (bytes, _, unmappable) = encoding.encode(text);
+            if unmappable {
+                return Err(Error::UnencodableText(encoding.name()));
+            }
+            out.extend_from_slice(&bytes);
+        }
+
+        Ok(out)
+    }
+}
+
+/// A reader that transcodes its inner reader to UTF-8,
+/// decoding multi-byte sequences that are split across reads correctly.
+pub(crate) struct DecodeReader<R> {
+    inner: R,
+    decoder: Decoder,
+    buffer: Box<[u8]>,
+    start: usize,
+    end: usize,
+    eof: bool,
+    finished: bool,
+}
+
+impl<R: Read> DecodeReader<R> {
+    pub(crate) fn new(inner: R, encoding: TextEncoding) -> Self {
+        Self {
+            inner,
+            decoder: encoding.new_decoder(),
+            buffer: vec![0; READ_BUFFER_SIZE].into_boxed_slice(),
+            start: 0,
+            end: 0,
+            eof: false,
+            finished: false,
+        }
+    }
+}
+
+impl<R: Read> Read for DecodeReader<R> {
+    fn read(&mut self, buf: &mut [u8]) -> std::io::Result<usize> {
+        loop {
+            if self.finished {
+                return Ok(0);
+            }
+
+            if self.start == self.end && !self.eof {
+                let n = self.inner.read(&mut self.buffer)?;
+                self.start = 0;
+                self.end = n;
+                self.eof = n == 0;
+            }
+
+            let (result, read, written, _) =
+                self.decoder
+                    .decode_to_utf8(&self.buffer[self.start..self.end], buf, self.eof);
+            self.start += read;
+
+            if let CoderResult::InputEmpty = result {
+                self.finished = self.eof;
+            }
+            if written > 0 {
+                return Ok(written);
+            }
+            if let CoderResult::OutputFull = result {
+                return Err(std::io::Error::new(
+                    std::io::ErrorKind::InvalidInput,
+                    "buffer too small to hold a decoded character",
+                ));
+            }
+        }
+    }
+}
+
+mod test {
+    use super::{DecodeReader, TextEncoding};
+    use std::io::Read;
+
+    /// Hands out one byte per read, so every multi-byte sequence is split.
+    struct ByteReader<'a>(&'a [u8]);
+
+    impl Read for ByteReader<'_> {
+        fn read(&mut self, buf: &mut [u8]) -> std::io::Result<usize> {
+            let n = self.0.len().min(buf.len()).min(1);
+            buf[..n].copy_from_slice(&self.0[..n]);
+            self.0 = &self.0[n..];
+            Ok(n)
+        }
+    }
+
+    fn read_to_string(bytes: &[u8], label: &str) -> String {
+        let encoding = TextEncoding::from_label(label).unwrap();
+        let mut reader = DecodeReader::new(ByteReader(bytes), encoding);
+        let mut buf = [0; 16];
+        let mut text = Vec::new();
+        loop {
+            match reader.read(&mut buf).unwrap() {
+                0 => break,
+                n => text.extend_from_slice(&buf[..n]),
+            }
+        }
+        String::from_utf8(text).unwrap()
+    }
+
+    #[test]
+    fn decode_bom() {
+        let utf8 = TextEncoding::from_label("auto").unwrap();
+        assert_eq!(utf8.decode(b"\xEF\xBB\xBFh\xC3\xA9"), "hé");
+        assert_eq!(utf8.decode(b"\xFF\xFEh\x00\xE9\x00"), "hé");
+        assert_eq!(utf8.decode(b"h\xFF"), "h\u{FFFD}");
+
+        // the BOM of the given encoding is removed, but doesn't switch to another one
+        let latin1 = TextEncoding::from_label("latin1").unwrap();
+        assert_eq!(latin1.decode(b"h\xE9"), "hé");
+        let utf16 = TextEncoding::from_label("utf-16be").unwrap();
+        assert_eq!(utf16.decode(b"\xFE\xFF\x00h\x00\xE9"), "hé");
+
+        assert!(TextEncoding::from_label("utf-42").is_err());
+    }
+
+    #[test]
+    fn decode_reader_split_sequences() {
+        assert_eq!(read_to_string(b"\xEF\xBB\xBFh\xE2\x82\xAC", "auto"), "h€");
+        assert_eq!(read_to_string(b"\xFF\xFEh\x00\xAC\x20", "auto"), "h€");
+        assert_eq!(read_to_string(b"\x00h\x20\xAC", "utf-16be"), "h€");
+        // an incomplete sequence at the end of the file is replaced
+        assert_eq!(read_to_string(b"h\xE2\x82", "utf-8"), "h\u{FFFD}");
+        assert_eq!(read_to_string(b"", "auto"), "");
+    }
+
+    #[test]
+    fn encode_round_trip() {
+        for label in ["utf-8", "utf-16le", "utf-16be"] {
+            let encoding = TextEncoding::from_label(label).unwrap();
+            let bytes = encoding.encode("h€😀", true).unwrap();
+            assert_eq!(read_to_string(&bytes, "auto"), "h€😀", "{label}");
+            let bytes = encoding.encode("h€😀", false).unwrap();
+            assert_eq!(read_to_string(&bytes, label), "h€😀", "{label}");
+        }
+
+        let latin1 = TextEncoding::from_label("latin1").unwrap();
+        assert_eq!(latin1.encode("hé", true).unwrap(), b"h\xE9");
+        assert!(latin1.encode("h€😀", false).is_err());
+    }
+}
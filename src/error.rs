@@ -2,7 +2,10 @@
 // SPDX-License-Identifier: Apache-2.0
 // SPDX-License-Identifier: MIT
 
-use std::path::PathBuf;
+use std::{
+    borrow::Cow,
+    path::{Path, PathBuf},
+};
 
 use serde::{Serialize, Serializer};
 
@@ -31,6 +34,171 @@ pub enum Error {
     InvalidPathUrl,
     #[error("Unsafe PathBuf: {0}")]
     UnsafePathBuf(&'static str),
+    /// The operation was cancelled by the frontend.
+    #[error("operation cancelled")]
+    Cancelled,
+    /// The requested text encoding label is not known.
+    #[error("unsupported text encoding: {0}")]
+    UnsupportedEncoding(String),
+    /// The text contains characters the requested encoding can't represent.
+    #[error("text cannot be represented in {0}")]
+    UnencodableText(&'static str),
+    /// An archive entry would be extracted outside of the destination directory.
+    #[cfg(feature = "archive")]
+    #[error("unsafe archive entry: {0}")]
+    UnsafeArchiveEntry(String),
+    /// The arguments of a command are invalid or can't be used together.
+    #[error("{0}")]
+    InvalidInput(Cow<'static, str>),
+}
+
+/// A stable error code that is sent to the frontend alongside the error message,
+/// so it can tell errors apart without matching on the message.
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Serialize)]
+#[non_exhaustive]
+pub enum ErrorCode {
+    /// The path does not exist.
+    NotFound,
+    /// The operating system denied access to the path.
+    PermissionDenied,
+    /// The path already exists.
+    AlreadyExists,
+    /// The path is not allowed by the fs scope.
+    ScopeForbidden,
+    /// The path or URL is invalid or unsafe.
+    InvalidPath,
+    /// The path is a directory but a file was expected.
+    IsADirectory,
+    /// A path component is not a directory but a directory was expected.
+    NotADirectory,
+    /// The directory is not empty.
+    DirectoryNotEmpty,
+    /// An argument was invalid.
+    InvalidInput,
+    /// The data is not valid for the operation, e.g. a file that is not valid UTF-8.
+    InvalidData,
+    /// The resource id does not refer to an open resource.
+    BadResource,
+    /// The operation was cancelled.
+    Cancelled,
+    /// The operation is not supported on this platform.
+    Unsupported,
+    /// Any other error.
+    Unknown,
+}
+
+impl From<&std::io::Error> for ErrorCode {
+    fn from(error: &std::io::Error) -> Self {
+        use std::io::ErrorKind;
+        match error.kind() {
+            ErrorKind::NotFound => Self::NotFound,
+            ErrorKind::PermissionDenied => Self::PermissionDenied,
+            ErrorKind::AlreadyExists => Self::AlreadyExists,
+            ErrorKind::InvalidInput => Self::InvalidInput,
+            ErrorKind::InvalidData => Self::InvalidData,
+            ErrorKind::Unsupported => Self::Unsupported,
+            // these kinds are only stable since Rust 1.83,
+            // so we match on their debug representation instead
+            kind => match format!("{kind:?}").as_str() {
+                "IsADirectory" => Self::IsADirectory,
+                "NotADirectory" => Self::NotADirectory,
+                "DirectoryNotEmpty" => Self::DirectoryNotEmpty,
+                _ => Self::Unknown,
+            },
+        }
+    }
+}
+
+impl From<&tauri::Error> for ErrorCode {
+    fn from(error: &tauri::Error) -> Self {
+        match error {
+            tauri::Error::Io(e) => e.into(),
+            tauri::Error::BadResourceId(_) => Self::BadResource,
+            #[cfg(not(target_os = "android"))]
+            tauri::Error::UnknownPath => Self::InvalidPath,
+            _ => Self::Unknown,
+        }
+    }
+}
+
+#[cfg(feature = "watch")]
+impl From<&notify::Error> for ErrorCode {
+    fn from(error: &notify::Error) -> Self {
+        match &error.kind {
+            notify::ErrorKind::Io(e) => e.into(),
+            notify::ErrorKind::PathNotFound | notify::ErrorKind::WatchNotFound => Self::NotFound,
+            _ => Self::Unknown,
+        }
+    }
+}
+
+/// The serialized representation of an error, as received by the frontend.
+#[derive(Serialize)]
+#[serde(rename_all = "camelCase")]
+pub(crate) struct ErrorPayload<'a> {
+    pub code: ErrorCode,
+    pub message: String,
+    pub path: Option<&'a Path>,
+    pub syscall: Option<&'a str>,
+    pub errno: Option<i32>,
+}
+
+impl Error {
+    /// The stable [`ErrorCode`] of this error.
+    pub fn code(&self) -> ErrorCode {
+        match self {
+            Self::Json(_) => ErrorCode::InvalidData,
+            Self::Tauri(e) => e.into(),
+            Self::Io(e) => e.into(),
+            Self::PathForbidden(_) => ErrorCode::ScopeForbidden,
+            Self::GlobPattern(_) => ErrorCode::InvalidInput,
+            #[cfg(feature = "watch")]
+            Self::Watch(e) => e.into(),
+            #[cfg(target_os = "android")]
+            Self::PluginInvoke(_) => ErrorCode::Unknown,
+            Self::InvalidPathUrl | Self::UnsafePathBuf(_) => ErrorCode::InvalidPath,
+            Self::Cancelled => ErrorCode::Cancelled,
+            Self::UnsupportedEncoding(_) => ErrorCode::InvalidInput,
+            Self::UnencodableText(_) => ErrorCode::InvalidData,
+            #[cfg(feature = "archive")]
+            Self::UnsafeArchiveEntry(_) => ErrorCode::InvalidPath,
+            Self::InvalidInput(_) => ErrorCode::InvalidInput,
+        }
+    }
+
+    /// The path this error refers to, if known.
+    pub fn path(&self) -> Option<&Path> {
+        match self {
+            Self::PathForbidden(path) => Some(path),
+            #[cfg(feature = "watch")]
+            Self::Watch(e) => e.paths.first().map(PathBuf::as_path),
+            _ => None,
+        }
+    }
+
+    /// The raw OS error number, if this error was caused by the operating system.
+    pub fn errno(&self) -> Option<i32> {
+        match self {
+            Self::Io(e) => e.raw_os_error(),
+            Self::Tauri(tauri::Error::Io(e)) => e.raw_os_error(),
+            #[cfg(feature = "watch")]
+            Self::Watch(notify::Error {
+                kind: notify::ErrorKind::Io(e),
+                ..
+            }) => e.raw_os_error(),
+            _ => None,
+        }
+    }
+
+    pub(crate) fn payload(&self) -> ErrorPayload<'_> {
+        ErrorPayload {
+            code: self.code(),
+            message: self.to_string(),
+            path: self.path(),
+            syscall: None,
+            errno: self.errno(),
+        }
+    }
 }
 
 impl Serialize for Error {
@@ -38,6 +206,6 @@ impl Serialize for Error {
     where
         S: Serializer,
     {
-        serializer.serialize_str(self.to_string().as_ref())
+        self.payload().serialize(serializer)
     }
 }
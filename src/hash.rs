@@ -0,0 +1,85 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+//! Streaming content hashes for the hash commands.
+
+use serde::Deserialize;
+use sha2::Digest;
+
+#[derive(Debug, Default, Clone, Copy, Deserialize)]
+#[serde(rename_all = "lowercase")]
+pub enum HashAlgorithm {
+    #[default]
+    Sha256,
+    Sha1,
+    Sha512,
+    Blake3,
+    Md5,
+    Crc32,
+    Xxh3,
+}
+
+/// An incremental hasher for one of the [`HashAlgorithm`]s.
+pub(crate) enum Hasher {
+    Sha256(sha2::Sha256),
+    Sha1(sha1::Sha1),
+    Sha512(sha2::Sha512),
+    #[cfg(feature = "blake3")]
+    Blake3(Box<blake3::Hasher>),
+    Md5(md5::Md5),
+    Crc32(crc32fast::Hasher),
+    Xxh3(Box<xxhash_rust::xxh3::Xxh3>),
+}
+
+impl Hasher {
+    /// Fails for BLAKE3 if the plugin was built without the `blake3` feature.
+    pub(crate) fn new(algorithm: HashAlgorithm) -> std::io::Result<Self> {
+        Ok(match algorithm {
+            HashAlgorithm::Sha256 => Self::Sha256(Default::default()),
+            HashAlgorithm::Sha1 => Self::Sha1(Default::default()),
+            HashAlgorithm::Sha512 => Self::Sha512(Default::default()),
+            #[cfg(feature = "blake3")]
+            HashAlgorithm::Blake3 => Self::Blake3(Default::default()),
+            #[cfg(not(feature = "blake3"))]
+            HashAlgorithm::Blake3 => {
+                return Err(std::io::Error::new(
+                    std::io::ErrorKind::Unsupported,
+                    "the `blake3` feature of tauri-plugin-fs is not enabled",
+                ))
+            }
+            HashAlgorithm::Md5 => Self::Md5(Default::default()),
+            HashAlgorithm::Crc32 => Self::Crc32(Default::default()),
+            HashAlgorithm::Xxh3 => Self::Xxh3(Default::default()),
+        })
+    }
+
+    pub(crate) fn update(&mut self, data: &[u8]) {
+        match self {
+            Self::Sha256(h) => h.update(data),
+            Self::Sha1(h) => h.update(data),
+            Self::Sha512(h) => h.update(data),
+            #[cfg(feature = "blake3")]
+            Self::Blake3(h) => {
+                h.update(data);
+            }
+            Self::Md5(h) => h.update(data),
+            Self::Crc32(h) => h.update(data),
+            Self::Xxh3(h) => h.update(data),
+        }
+    }
+
+    /// Returns the digest, checksums are encoded as big-endian bytes.
+    pub(crate) fn finalize(self) -> Vec<u8> {
+        match self {
+            Self::Sha256(h) => h.finalize().to_vec(),
+            Self::Sha1(h) => h.finalize().to_vec(),
+            Self::Sha512(h) => h.finalize().to_vec(),
+            #[cfg(feature = "blake3")]
+            Self::Blake3(h) => h.finalize().as_bytes().to_vec(),
+            Self::Md5(h) => h.finalize().to_vec(),
+            Self::Crc32(h) => h.finalize().to_be_bytes().to_vec(),
+            Self::Xxh3(h) => h.digest().to_be_bytes().to_vec(),
+        }
+    }
+}
@@ -21,17 +21,24 @@ use tauri::{
     AppHandle, DragDropEvent, Manager, RunEvent, Runtime, WindowEvent,
 };
 
+#[cfg(feature = "archive")]
+mod archive;
 mod commands;
+mod compression;
 mod config;
 #[cfg(not(target_os = "android"))]
 mod desktop;
+mod encoding;
 mod error;
 mod file_path;
+mod hash;
+mod lock;
 #[cfg(target_os = "android")]
 mod mobile;
 #[cfg(target_os = "android")]
 mod models;
 mod scope;
+mod statfs;
 #[cfg(feature = "watch")]
 mod watcher;
 
@@ -40,7 +47,7 @@ pub use desktop::Fs;
 #[cfg(target_os = "android")]
 pub use mobile::Fs;
 
-pub use error::Error;
+pub use error::{Error, ErrorCode};
 pub use scope::{Event as ScopeEvent, Scope};
 
 pub use file_path::FilePath;
@@ -393,32 +400,80 @@ pub fn init<R: Runtime>() -> TauriPlugin<R, Option<config::Config>> {
     PluginBuilder::<R, Option<config::Config>>::new("fs")
         .invoke_handler(tauri::generate_handler![
             commands::create,
+            commands::make_temp_file,
+            commands::make_temp_dir,
             commands::open,
             commands::copy_file,
+            commands::copy_dir,
+            commands::diff_dirs,
+            commands::sync_dir,
+            #[cfg(feature = "archive")]
+            commands::create_archive,
+            #[cfg(feature = "archive")]
+            commands::list_archive,
+            #[cfg(feature = "archive")]
+            commands::extract_archive,
             commands::close,
             commands::mkdir,
             commands::read_dir,
+            commands::walk_dir,
+            commands::glob,
             commands::read,
+            commands::read_at,
             commands::read_file,
             commands::read_text_file,
             commands::read_text_file_lines,
             commands::read_text_file_lines_next,
+            commands::read_text_file_lines_batch,
+            commands::hash_file,
+            commands::hash_fd,
             commands::remove,
             commands::rename,
+            commands::symlink,
+            commands::link,
+            commands::read_link,
+            commands::real_path,
             commands::seek,
             commands::stat,
             commands::lstat,
             commands::fstat,
             commands::truncate,
             commands::ftruncate,
+            commands::lock,
+            commands::try_lock,
+            commands::unlock,
+            commands::fsync,
+            commands::fdatasync,
+            commands::chmod,
+            commands::fchmod,
+            commands::chown,
+            commands::lchown,
+            commands::utimes,
+            commands::lutimes,
+            commands::futimes,
             commands::write,
+            commands::write_at,
             commands::write_file,
             commands::write_text_file,
             commands::exists,
+            commands::statfs,
+            commands::disk_usage,
             #[cfg(feature = "watch")]
             watcher::watch,
             #[cfg(feature = "watch")]
-            watcher::unwatch
+            watcher::unwatch,
+            #[cfg(feature = "watch")]
+            watcher::add_watch_path,
+            #[cfg(feature = "watch")]
+            watcher::remove_watch_path,
+            #[cfg(feature = "watch")]
+            watcher::pause_watcher,
+            #[cfg(feature = "watch")]
+            watcher::resume_watcher,
+            #[cfg(feature = "watch")]
+            watcher::watcher_info,
+            #[cfg(feature = "watch")]
+            watcher::list_watchers
         ])
         .setup(|app, api| {
             let mut scope = Scope::default();
@@ -0,0 +1,134 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+//! Whole-file locks.
+//!
+//! Locks belong to the open file and are released by the operating system when it is closed.
+//! They are advisory on Unix (`flock`), but mandatory on Windows (`LockFileEx`):
+//! other handles can't write to a locked file, nor read from it while the lock is exclusive.
+
+use std::fs::File;
+
+#[cfg(unix)]
+fn flock(file: &File, operation: libc::c_int) -> std::io::Result<()> {
+    use std::os::unix::io::AsRawFd;
+
+    // SAFETY: `file` owns a valid file descriptor for the duration of the call.
+    if unsafe { libc::flock(file.as_raw_fd(), operation) } != 0 {
+        return Err(std::io::Error::last_os_error());
+    }
+    Ok(())
+}
+
+/// Blocks until the lock is acquired.
+#[cfg(unix)]
+pub(crate) fn lock(file: &File, exclusive: bool) -> std::io::Result<()> {
+    flock(
+        file,
+        if exclusive {
+            libc::LOCK_EX
+        } else {
+            libc::LOCK_SH
+        },
+    )
+}
+
+/// Returns `false` if another process holds a conflicting lock.
+#[cfg(unix)]
+pub(crate) fn try_lock(file: &File, exclusive: bool) -> std::io::Result<bool> {
+    let operation = if exclusive {
+        libc::LOCK_EX
+    } else {
+        libc::LOCK_SH
+    };
+    match flock(file, operation | libc::LOCK_NB) {
+        Ok(()) => Ok(true),
+        Err(e) if e.kind() == std::io::ErrorKind::WouldBlock => Ok(false),
+        Err(e) => Err(e),
+    }
+}
+
+#[cfg(unix)]
+pub(crate) fn unlock(file: &File) -> std::io::Result<()> {
+    flock(file, libc::LOCK_UN)
+}
+
+#[cfg(windows)]
+const ERROR_LOCK_VIOLATION: i32 = 33;
+#[cfg(windows)]
+const ERROR_NOT_LOCKED: i32 = 158;
+
+#[cfg(windows)]
+fn lock_file_ex(file: &File, flags: u32) -> std::io::Result<()> {
+    use std::os::windows::io::AsRawHandle;
+    use windows_sys::Win32::{Storage::FileSystem::LockFileEx, System::IO::OVERLAPPED};
+
+    // SAFETY: an all zero `OVERLAPPED` locks from offset 0.
+    let mut overlapped: OVERLAPPED = unsafe { std::mem::zeroed() };
+    // SAFETY: `file` owns a valid handle and `overlapped` outlives the synchronous call.
+    let locked = unsafe {
+        LockFileEx(
+            file.as_raw_handle() as _,
+            flags,
+            0,
+            u32::MAX,
+            u32::MAX,
+            &mut overlapped,
+        )
+    };
+    if locked == 0 {
+        return Err(std::io::Error::last_os_error());
+    }
+    Ok(())
+}
+
+/// Blocks until the lock is acquired.
+#[cfg(windows)]
+pub(crate) fn lock(file: &File, exclusive: bool) -> std::io::Result<()> {
+    use windows_sys::Win32::Storage::FileSystem::LOCKFILE_EXCLUSIVE_LOCK;
+
+    lock_file_ex(
+        file,
+        if exclusive {
+            LOCKFILE_EXCLUSIVE_LOCK
+        } else {
+            0
+        },
+    )
+}
+
+/// Returns `false` if another process holds a conflicting lock.
+#[cfg(windows)]
+pub(crate) fn try_lock(file: &File, exclusive: bool) -> std::io::Result<bool> {
+    use windows_sys::Win32::Storage::FileSystem::{
+        LOCKFILE_EXCLUSIVE_LOCK, LOCKFILE_FAIL_IMMEDIATELY,
+    };
+
+    let flags = if exclusive {
+        LOCKFILE_EXCLUSIVE_LOCK
+    } else {
+        0
+    };
+    match lock_file_ex(file, flags | LOCKFILE_FAIL_IMMEDIATELY) {
+        Ok(()) => Ok(true),
+        Err(e) if e.raw_os_error() == Some(ERROR_LOCK_VIOLATION) => Ok(false),
+        Err(e) => Err(e),
+    }
+}
+
+#[cfg(windows)]
+pub(crate) fn unlock(file: &File) -> std::io::Result<()> {
+    use std::os::windows::io::AsRawHandle;
+    use windows_sys::Win32::Storage::FileSystem::UnlockFile;
+
+    // SAFETY: `file` owns a valid handle for the duration of the call.
+    if unsafe { UnlockFile(file.as_raw_handle() as _, 0, 0, u32::MAX, u32::MAX) } == 0 {
+        let e = std::io::Error::last_os_error();
+        // unlocking a file that isn't locked is not an error, same as `flock`
+        if e.raw_os_error() != Some(ERROR_NOT_LOCKED) {
+            return Err(e);
+        }
+    }
+    Ok(())
+}
@@ -0,0 +1,160 @@
+// Copyright 2019-2023 Tauri Programme within The Commons Conservancy
+// SPDX-License-Identifier: Apache-2.0
+// SPDX-License-Identifier: MIT
+
+//! Statistics of the file system a path is on.
+
+use std::path::Path;
+
+use serde::Serialize;
+
+#[derive(Debug, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct FsStats {
+    /// Size of the file system in bytes.
+    total: u64,
+    /// Free bytes, including the ones reserved for privileged users.
+    free: u64,
+    /// Free bytes available to the current user.
+    available: u64,
+    /// Name of the file system type, e.g. `ext4`, `apfs` or `NTFS`, if known.
+    fs_type: Option<String>,
+    /// Whether the file system is mounted read-only.
+    read_only: bool,
+}
+
+#[cfg(unix)]
+pub(crate) fn statfs(path: &Path) -> std::io::Result<FsStats> {
+    use std::{ffi::CString, os::unix::ffi::OsStrExt};
+
+    let c_path = CString::new(path.as_os_str().as_bytes())
+        .map_err(|e| std::io::Error::new(std::io::ErrorKind::InvalidInput, e))?;
+
+    // SAFETY: `c_path` is a valid NUL terminated string and `stat` is a valid out pointer.
+    let stat = unsafe {
+        let mut stat: libc::statvfs = std::mem::zeroed();
+        if libc::statvfs(c_path.as_ptr(), &mut stat) != 0 {
+            return Err(std::io::Error::last_os_error());
+        }
+        stat
+    };
+
+    let fragment_size = stat.f_frsize as u64;
+    Ok(FsStats {
+        total: stat.f_blocks as u64 * fragment_size,
+        free: stat.f_bfree as u64 * fragment_size,
+        available: stat.f_bavail as u64 * fragment_size,
+        fs_type: fs_type(&c_path),
+        read_only: stat.f_flag & libc::ST_RDONLY != 0,
+    })
+}
+
+#[cfg(any(target_os = "linux", target_os = "android"))]
+fn fs_type(c_path: &std::ffi::CStr) -> Option<String> {
+    // SAFETY: `c_path` is a valid NUL terminated string and `stat` is a valid out pointer.
+    let stat = unsafe {
+        let mut stat: libc::statfs = std::mem::zeroed();
+        if libc::statfs(c_path.as_ptr(), &mut stat) != 0 {
+            return None;
+        }
+        stat
+    };
+
+    // Linux only reports a magic number, see `man 2 statfs`
+    let name = match stat.f_type as u32 {
+        0xEF53 => "ext4",
+        0x5846_5342 => "xfs",
+        0x9123_683E => "btrfs",
+        0xF2F5_2010 => "f2fs",
+        0x2FC1_2FC1 => "zfs",
+        0x0102_1994 => "tmpfs",
+        0x794C_7630 => "overlayfs",
+        0x6969 => "nfs",
+        0xFF53_4D42 | 0xFE53_4D42 => "cifs",
+        0x4D44 => "vfat",
+        0x2011_BAB0 => "exfat",
+        0x5346_544E => "ntfs",
+        0x6573_5546 => "fuse",
+        0x9FA0 => "proc",
+        0x6265_6572 => "sysfs",
+        _ => return None,
+    };
+    Some(name.into())
+}
+
+#[cfg(all(unix, not(any(target_os = "linux", target_os = "android"))))]
+fn fs_type(c_path: &std::ffi::CStr) -> Option<String> {
+    // SAFETY: `c_path` is a valid NUL terminated string and `stat` is a valid out pointer.
+    let stat = unsafe {
+        let mut stat: libc::statfs = std::mem::zeroed();
+        if libc::statfs(c_path.as_ptr(), &mut stat) != 0 {
+            return None;
+        }
+        stat
+    };
+
+    // SAFETY: the kernel fills `f_fstypename` with a NUL terminated string.
+    let name = unsafe { std::ffi::CStr::from_ptr(stat.f_fstypename.as_ptr()) };
+    Some(name.to_string_lossy().into_owned())
+}
+
+#[cfg(windows)]
+pub(crate) fn statfs(path: &Path) -> std::io::Result<FsStats> {
+    use std::os::windows::ffi::OsStrExt;
+    use windows_sys::Win32::Storage::FileSystem::{
+        GetDiskFreeSpaceExW, GetVolumeInformationW, GetVolumePathNameW,
+    };
+
+    const FILE_READ_ONLY_VOLUME: u32 = 0x0008_0000;
+    const MAX_PATH: usize = 260;
+
+    let wide_path: Vec<u16> = path.as_os_str().encode_wide().chain(Some(0)).collect();
+
+    // GetDiskFreeSpaceExW only accepts directories
+    let dir = match path.parent() {
+        Some(parent) if !path.is_dir() => parent,
+        _ => path,
+    };
+    let wide_dir: Vec<u16> = dir.as_os_str().encode_wide().chain(Some(0)).collect();
+
+    let (mut available, mut total, mut free) = (0u64, 0u64, 0u64);
+    // SAFETY: `wide_dir` is NUL terminated and the out pointers are valid.
+    if unsafe { GetDiskFreeSpaceExW(wide_dir.as_ptr(), &mut available, &mut total, &mut free) } == 0
+    {
+        return Err(std::io::Error::last_os_error());
+    }
+
+    let mut volume = vec![0u16; wide_path.len().max(MAX_PATH)];
+    let mut flags = 0u32;
+    let mut fs_name = [0u16; MAX_PATH + 1];
+    // SAFETY: the buffers are valid for the lengths passed alongside them.
+    let has_volume_info = unsafe {
+        GetVolumePathNameW(wide_path.as_ptr(), volume.as_mut_ptr(), volume.len() as u32) != 0
+            && GetVolumeInformationW(
+                volume.as_ptr(),
+                std::ptr::null_mut(),
+                0,
+                std::ptr::null_mut(),
+                std::ptr::null_mut(),
+                &mut flags,
+                fs_name.as_mut_ptr(),
+                fs_name.len() as u32,
+            ) != 0
+    };
+
+    let fs_type = has_volume_info.then(|| {
+        let len = fs_name
+            .iter()
+            .position(|c| *c == 0)
+            .unwrap_or(fs_name.len());
+        String::from_utf16_lossy(&fs_name[..len])
+    });
+
+    Ok(FsStats {
+        total,
+        free,
+        available,
+        fs_type,
+        read_only: flags & FILE_READ_ONLY_VOLUME != 0,
+    })
+}
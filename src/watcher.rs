@@ -2,9 +2,14 @@
 // SPDX-License-Identifier: Apache-2.0
 // SPDX-License-Identifier: MIT
 
-use notify::{Config, Event, RecommendedWatcher, RecursiveMode, Watcher};
-use notify_debouncer_full::{new_debouncer, DebounceEventResult, Debouncer, FileIdMap};
-use serde::Deserialize;
+use notify::{
+    event::{ModifyKind, RenameMode},
+    Config, Event, EventKind, PollWatcher, RecommendedWatcher, RecursiveMode, Watcher,
+};
+use notify_debouncer_full::{
+    new_debouncer, new_debouncer_opt, DebounceEventResult, DebouncedEvent, Debouncer, FileIdMap,
+};
+use serde::{Deserialize, Serialize};
 use tauri::{
     ipc::{Channel, CommandScope, GlobalScope},
     path::BaseDirectory,
@@ -12,30 +17,91 @@ use tauri::{
 };
 
 use std::{
-    path::PathBuf,
+    collections::HashSet,
+    path::{Path, PathBuf},
     sync::{
         mpsc::{channel, Receiver},
-        Mutex,
+        Arc, Mutex, Weak,
     },
-    thread::spawn,
-    time::Duration,
+    thread::{sleep, spawn},
+    time::{Duration, Instant, SystemTime, UNIX_EPOCH},
 };
 
 use crate::{
-    commands::{resolve_path, CommandResult},
+    commands::{compile_patterns, matches_any, resolve_path, CommandError, CommandResult},
     scope::Entry,
     SafeFilePath,
 };
 
+/// How often a removed root is checked for when `rewatch` is enabled.
+const REWATCH_INTERVAL: Duration = Duration::from_millis(500);
+
 struct InnerWatcher {
     pub kind: WatcherKind,
     paths: Vec<PathBuf>,
+    recursive_mode: RecursiveMode,
+    /// Watched paths that have been removed and are not watched by the OS anymore.
+    removed: HashSet<PathBuf>,
+    /// Events are dropped while paused.
+    paused: bool,
+}
+
+impl InnerWatcher {
+    fn watch(&mut self, path: &Path) -> notify::Result<()> {
+        self.kind.watcher().watch(path, self.recursive_mode)?;
+        match &mut self.kind {
+            WatcherKind::Debouncer(debouncer) => {
+                debouncer.cache().add_root(path, self.recursive_mode)
+            }
+            WatcherKind::PollDebouncer(debouncer) => {
+                debouncer.cache().add_root(path, self.recursive_mode)
+            }
+            WatcherKind::Watcher(_) | WatcherKind::Poll(_) => {}
+        }
+        Ok(())
+    }
+
+    fn watch_all(&mut self) -> notify::Result<()> {
+        for path in self.paths.clone() {
+            self.watch(&path).map_err(|e| e.add_path(path))?;
+        }
+        Ok(())
+    }
+
+    fn unwatch(&mut self, path: &Path) -> notify::Result<()> {
+        // the OS already dropped the watch together with the removed path
+        if self.removed.contains(path) {
+            return Ok(());
+        }
+        self.kind.watcher().unwatch(path)?;
+        match &mut self.kind {
+            WatcherKind::Debouncer(debouncer) => debouncer.cache().remove_root(path),
+            WatcherKind::PollDebouncer(debouncer) => debouncer.cache().remove_root(path),
+            WatcherKind::Watcher(_) | WatcherKind::Poll(_) => {}
+        }
+        Ok(())
+    }
+
+    fn info(&self, rid: ResourceId) -> WatcherInfo {
+        WatcherInfo {
+            rid,
+            paths: self.paths.clone(),
+            paused: self.paused,
+            watcher_kind: self.kind.backend_name(),
+        }
+    }
 }
 
 pub struct WatcherResource(Mutex<InnerWatcher>);
 impl WatcherResource {
-    fn new(kind: WatcherKind, paths: Vec<PathBuf>) -> Self {
-        Self(Mutex::new(InnerWatcher { kind, paths }))
+    fn new(kind: WatcherKind, paths: Vec<PathBuf>, recursive_mode: RecursiveMode) -> Self {
+        Self(Mutex::new(InnerWatcher {
+            kind,
+            paths,
+            recursive_mode,
+            removed: HashSet::new(),
+            paused: false,
+        }))
     }
 
     fn with_lock<R, F: FnMut(&mut InnerWatcher) -> R>(&self, mut f: F) -> R {
@@ -48,28 +114,333 @@ impl Resource for WatcherResource {}
 
 enum WatcherKind {
     Debouncer(Debouncer<RecommendedWatcher, FileIdMap>),
+    PollDebouncer(Debouncer<PollWatcher, FileIdMap>),
     Watcher(RecommendedWatcher),
+    Poll(PollWatcher),
 }
 
-fn watch_raw(on_event: Channel<Event>, rx: Receiver<notify::Result<Event>>) {
+impl WatcherKind {
+    fn watcher(&mut self) -> &mut dyn Watcher {
+        match self {
+            Self::Debouncer(debouncer) => debouncer.watcher(),
+            Self::PollDebouncer(debouncer) => debouncer.watcher(),
+            Self::Watcher(watcher) => watcher,
+            Self::Poll(watcher) => watcher,
+        }
+    }
+
+    /// The name of the notify backend, reported to the webview as `watcherKind`.
+    fn backend_name(&self) -> &'static str {
+        let kind = match self {
+            Self::Debouncer(_) | Self::Watcher(_) => RecommendedWatcher::kind(),
+            Self::PollDebouncer(_) | Self::Poll(_) => PollWatcher::kind(),
+        };
+        match kind {
+            notify::WatcherKind::Inotify => "inotify",
+            notify::WatcherKind::Fsevent => "fsevent",
+            notify::WatcherKind::Kqueue => "kqueue",
+            notify::WatcherKind::PollWatcher => "poll",
+            notify::WatcherKind::ReadDirectoryChangesWatcher => "readDirectoryChanges",
+            _ => "other",
+        }
+    }
+}
+
+/// Receives the output of a [`WatcherKind`].
+enum EventReceiver {
+    Raw(Receiver<notify::Result<Event>>),
+    Debounced(Receiver<DebounceEventResult>),
+}
+
+/// A change in the state of a watcher, sent next to its events.
+#[derive(Debug, Clone, Serialize)]
+#[serde(tag = "type", rename_all = "camelCase")]
+pub enum WatchLifecycleEvent {
+    /// A watched path has been removed or moved away.
+    RootRemoved { path: PathBuf },
+    /// A removed path has reappeared and is watched again.
+    RootRestored { path: PathBuf },
+    /// Events have been missed, e.g. because the event queue of the OS overflowed,
+    /// and the watched paths should be rescanned.
+    Rescan,
+    /// The watcher has stopped and won't send any more messages.
+    Stopped,
+}
+
+/// An event of a debounced watcher.
+#[derive(Serialize)]
+pub struct DebouncedWatchEvent {
+    #[serde(flatten)]
+    event: Event,
+    /// When the event happened, in milliseconds since the UNIX epoch.
+    time: u64,
+}
+
+#[derive(Serialize)]
+#[serde(tag = "event", content = "data")]
+pub enum WatchMessage {
+    Event(Event),
+    /// All events of a debounce tick.
+    Batch(Vec<DebouncedWatchEvent>),
+    /// The watcher keeps running after an error.
+    Error(CommandError),
+    Lifecycle(WatchLifecycleEvent),
+}
+
+#[derive(Debug, Clone, Copy, PartialEq, Eq, Deserialize)]
+#[serde(rename_all = "lowercase")]
+pub enum WatchEventType {
+    Create,
+    Modify,
+    Remove,
+    Rename,
+}
+
+/// Decides which events are sent to the webview.
+#[derive(Clone)]
+struct EventFilter {
+    include: Vec<glob::Pattern>,
+    exclude: Vec<glob::Pattern>,
+    events: Option<Vec<WatchEventType>>,
+    ignore_access: bool,
+}
+
+impl EventFilter {
+    fn new(options: &WatchOptions) -> crate::Result<Self> {
+        Ok(Self {
+            include: compile_patterns(&options.include)?,
+            exclude: compile_patterns(&options.exclude)?,
+            events: options.events.clone(),
+            ignore_access: options.ignore_access,
+        })
+    }
+
+    /// Events without paths only have to match the event types.
+    fn matches(&self, event: &Event, roots: &[PathBuf]) -> bool {
+        self.matches_kind(&event.kind)
+            && (event.paths.is_empty()
+                || event
+                    .paths
+                    .iter()
+                    .any(|path| self.matches_path(path, roots)))
+    }
+
+    fn matches_kind(&self, kind: &EventKind) -> bool {
+        let event_type = match kind {
+            EventKind::Access(_) => return self.events.is_none() && !self.ignore_access,
+            EventKind::Create(_) => WatchEventType::Create,
+            EventKind::Modify(ModifyKind::Name(_)) => WatchEventType::Rename,
+            EventKind::Modify(_) => WatchEventType::Modify,
+            EventKind::Remove(_) => WatchEventType::Remove,
+            // the backend couldn't tell what happened
+            EventKind::Any | EventKind::Other => return true,
+        };
+        self.events
+            .as_ref()
+            .map_or(true, |events| events.contains(&event_type))
+    }
+
+    /// Patterns are matched like the `filter` of `copy_dir`, relative to the watched path `path` is in.
+    fn matches_path(&self, path: &Path, roots: &[PathBuf]) -> bool {
+        let relative_path = roots
+            .iter()
+            .find_map(|root| path.strip_prefix(root).ok())
+            .unwrap_or(path);
+
+        // excluding a directory excludes everything in it
+        let excluded = relative_path.ancestors().any(|ancestor| {
+            ancestor
+                .file_name()
+                .is_some_and(|name| matches_any(&self.exclude, &name.to_string_lossy(), ancestor))
+        });
+        if excluded {
+            return false;
+        }
+
+        let name = path
+            .file_name()
+            .map(|name| name.to_string_lossy())
+            .unwrap_or_default();
+        self.include.is_empty() || matches_any(&self.include, &name, relative_path)
+    }
+}
+
+/// Forwards the output of a watcher to the webview.
+#[derive(Clone)]
+struct EventSink {
+    channel: Channel<WatchMessage>,
+    /// Weak so the event loop doesn't keep the watcher alive after `unwatch`.
+    watcher: Weak<WatcherResource>,
+    filter: EventFilter,
+    rewatch: bool,
+}
+
+impl EventSink {
+    fn send(&self, message: WatchMessage) {
+        let _ = self.channel.send(message);
+    }
+
+    fn event(&self, event: Event) {
+        if self.accept(&event) {
+            self.send(WatchMessage::Event(event));
+        }
+    }
+
+    fn batch(&self, mut events: Vec<DebouncedEvent>) {
+        link_renames(&mut events);
+        let batch: Vec<_> = events
+            .into_iter()
+            .filter(|event| self.accept(&event.event))
+            .map(|event| DebouncedWatchEvent {
+                time: instant_to_msec(event.time),
+                event: event.event,
+            })
+            .collect();
+        if !batch.is_empty() {
+            self.send(WatchMessage::Batch(batch));
+        }
+    }
+
+    /// Sends the lifecycle events caused by `event` and returns whether `event` should be sent itself.
+    fn accept(&self, event: &Event) -> bool {
+        if event.need_rescan() {
+            self.send(WatchMessage::Lifecycle(WatchLifecycleEvent::Rescan));
+            return false;
+        }
+        let Some(resource) = self.watcher.upgrade() else {
+            return false;
+        };
+
+        self.check_removed_roots(&resource, event);
+        resource.with_lock(|watcher| !watcher.paused && self.filter.matches(event, &watcher.paths))
+    }
+
+    fn error(&self, error: notify::Error) {
+        self.send(WatchMessage::Error(error.into()));
+    }
+
+    fn stopped(&self) {
+        self.send(WatchMessage::Lifecycle(WatchLifecycleEvent::Stopped));
+    }
+
+    fn check_removed_roots(&self, resource: &WatcherResource, event: &Event) {
+        if !matches!(
+            event.kind,
+            EventKind::Remove(_) | EventKind::Modify(ModifyKind::Name(_))
+        ) {
+            return;
+        }
+
+        for path in &event.paths {
+            // a rename event is sent for both sides of the rename
+            if path.symlink_metadata().is_ok() {
+                continue;
+            }
+            let removed = resource.with_lock(|watcher| {
+                watcher.paths.contains(path) && watcher.removed.insert(path.clone())
+            });
+            if removed {
+                self.send(WatchMessage::Lifecycle(WatchLifecycleEvent::RootRemoved {
+                    path: path.clone(),
+                }));
+                if self.rewatch {
+                    self.wait_for_root(path.clone());
+                }
+            }
+        }
+    }
+
+    /// Watches `path` again once it exists.
+    fn wait_for_root(&self, path: PathBuf) {
+        let sink = self.clone();
+        spawn(move || loop {
+            sleep(REWATCH_INTERVAL);
+            let Some(resource) = sink.watcher.upgrade() else {
+                return;
+            };
+            // the path has been removed from the watcher in the meantime
+            if !resource.with_lock(|watcher| watcher.removed.contains(&path)) {
+                return;
+            }
+            if path.symlink_metadata().is_err() {
+                continue;
+            }
+
+            let result = resource.with_lock(|watcher| {
+                watcher.watch(&path)?;
+                watcher.removed.remove(&path);
+                Ok(())
+            });
+            match result {
+                Ok(()) => sink.send(WatchMessage::Lifecycle(WatchLifecycleEvent::RootRestored {
+                    path,
+                })),
+                Err(e) => sink.error(e.add_path(path)),
+            }
+            return;
+        });
+    }
+}
+
+/// Merges the `from` and `to` halves of a rename into one `both` event with the old and the new path.
+///
+/// The debouncer already links halves that follow each other through the file ids in its [`FileIdMap`],
+/// halves with other events in between are linked here through the rename tracker of the OS.
+fn link_renames(events: &mut Vec<DebouncedEvent>) {
+    const FROM: EventKind = EventKind::Modify(ModifyKind::Name(RenameMode::From));
+    const TO: EventKind = EventKind::Modify(ModifyKind::Name(RenameMode::To));
+
+    let mut i = 0;
+    while i < events.len() {
+        let tracker = events[i].event.attrs.tracker();
+        if events[i].event.kind == FROM && tracker.is_some() {
+            let to = events[i + 1..]
+                .iter()
+                .position(|event| event.event.kind == TO && event.event.attrs.tracker() == tracker);
+            if let Some(to) = to {
+                let to = events.remove(i + 1 + to);
+                let from = &mut events[i].event;
+                from.kind = EventKind::Modify(ModifyKind::Name(RenameMode::Both));
+                from.paths.extend(to.event.paths);
+            }
+        }
+        i += 1;
+    }
+}
+
+fn instant_to_msec(time: Instant) -> u64 {
+    SystemTime::now()
+        .checked_sub(time.elapsed())
+        .and_then(|time| time.duration_since(UNIX_EPOCH).ok())
+        .map(|time| time.as_millis() as u64)
+        .unwrap_or_default()
+}
+
+fn watch_raw(sink: EventSink, rx: Receiver<notify::Result<Event>>) {
     spawn(move || {
         while let Ok(event) = rx.recv() {
-            if let Ok(event) = event {
-                // TODO: Should errors be emitted too?
-                let _ = on_event.send(event);
+            match event {
+                Ok(event) => sink.event(event),
+                Err(e) => sink.error(e),
             }
         }
+        sink.stopped();
     });
 }
 
-fn watch_debounced(on_event: Channel<Event>, rx: Receiver<DebounceEventResult>) {
+fn watch_debounced(sink: EventSink, rx: Receiver<DebounceEventResult>) {
     spawn(move || {
-        while let Ok(Ok(events)) = rx.recv() {
-            for event in events {
-                // TODO: Should errors be emitted too?
-                let _ = on_event.send(event.event);
+        while let Ok(result) = rx.recv() {
+            match result {
+                Ok(events) => sink.batch(events),
+                Err(errors) => {
+                    for e in errors {
+                        sink.error(e);
+                    }
+                }
             }
         }
+        sink.stopped();
     });
 }
 
@@ -79,6 +450,43 @@ pub struct WatchOptions {
     base_dir: Option<BaseDirectory>,
     recursive: bool,
     delay_ms: Option<u64>,
+    /// Watch a removed path again once it reappears.
+    #[serde(default)]
+    rewatch: bool,
+    #[serde(default)]
+    include: Vec<String>,
+    #[serde(default)]
+    exclude: Vec<String>,
+    /// Only send events of these types, access events are never sent then.
+    events: Option<Vec<WatchEventType>>,
+    #[serde(default)]
+    ignore_access: bool,
+    #[serde(default)]
+    backend: WatchBackend,
+    /// How often the poll backend scans the watched paths.
+    poll_interval_ms: Option<u64>,
+    /// Whether the poll backend hashes file contents instead of only comparing modification times.
+    #[serde(default)]
+    compare_contents: bool,
+}
+
+#[derive(Debug, Clone, Copy, Default, PartialEq, Eq, Deserialize)]
+#[serde(rename_all = "lowercase")]
+pub enum WatchBackend {
+    /// The file system notifications of the OS.
+    #[default]
+    Native,
+    /// Scans the watched paths periodically, for file systems without notifications like network shares.
+    Poll,
+}
+
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct WatcherInfo {
+    rid: ResourceId,
+    paths: Vec<PathBuf>,
+    paused: bool,
+    watcher_kind: &'static str,
 }
 
 #[tauri::command]
@@ -86,10 +494,10 @@ pub async fn watch<R: Runtime>(
     webview: Webview<R>,
     paths: Vec<SafeFilePath>,
     options: WatchOptions,
-    on_event: Channel<Event>,
+    on_event: Channel<WatchMessage>,
     global_scope: GlobalScope<Entry>,
     command_scope: CommandScope<Entry>,
-) -> CommandResult<ResourceId> {
+) -> CommandResult<WatcherInfo> {
     let mut resolved_paths = Vec::with_capacity(paths.capacity());
     for path in paths {
         resolved_paths.push(resolve_path(
@@ -107,53 +515,304 @@ pub async fn watch<R: Runtime>(
         RecursiveMode::NonRecursive
     };
 
-    let kind = if let Some(delay) = options.delay_ms {
+    let filter = EventFilter::new(&options)?;
+
+    let mut config = Config::default().with_compare_contents(options.compare_contents);
+    if let Some(interval) = options.poll_interval_ms {
+        config = config.with_poll_interval(Duration::from_millis(interval));
+    }
+
+    let (kind, receiver) = if let Some(delay) = options.delay_ms {
         let (tx, rx) = channel();
-        let mut debouncer = new_debouncer(Duration::from_millis(delay), None, tx)?;
-        for path in &resolved_paths {
-            debouncer.watcher().watch(path.as_ref(), recursive_mode)?;
-            debouncer.cache().add_root(path, recursive_mode);
-        }
-        watch_debounced(on_event, rx);
-        WatcherKind::Debouncer(debouncer)
+        let timeout = Duration::from_millis(delay);
+        let kind = match options.backend {
+            WatchBackend::Native => WatcherKind::Debouncer(new_debouncer(timeout, None, tx)?),
+            WatchBackend::Poll => WatcherKind::PollDebouncer(new_debouncer_opt(
+                timeout,
+                None,
+                tx,
+                FileIdMap::new(),
+                config,
+            )?),
+        };
+        (kind, EventReceiver::Debounced(rx))
     } else {
         let (tx, rx) = channel();
-        let mut watcher = RecommendedWatcher::new(tx, Config::default())?;
-        for path in &resolved_paths {
-            watcher.watch(path.as_ref(), recursive_mode)?;
-        }
-        watch_raw(on_event, rx);
-        WatcherKind::Watcher(watcher)
+        let kind = match options.backend {
+            WatchBackend::Native => {
+                WatcherKind::Watcher(RecommendedWatcher::new(tx, Config::default())?)
+            }
+            WatchBackend::Poll => WatcherKind::Poll(PollWatcher::new(tx, config)?),
+        };
+        (kind, EventReceiver::Raw(rx))
+    };
+    let resource = Arc::new(WatcherResource::new(kind, resolved_paths, recursive_mode));
+    resource.with_lock(InnerWatcher::watch_all)?;
+
+    // the event loop is started once all paths are watched, events sent until then are buffered
+    let sink = EventSink {
+        channel: on_event,
+        watcher: Arc::downgrade(&resource),
+        filter,
+        rewatch: options.rewatch,
     };
+    match receiver {
+        EventReceiver::Raw(rx) => watch_raw(sink, rx),
+        EventReceiver::Debounced(rx) => watch_debounced(sink, rx),
+    }
 
-    let rid = webview
-        .resources_table()
-        .add(WatcherResource::new(kind, resolved_paths));
+    let rid = webview.resources_table().add_arc(resource.clone());
 
-    Ok(rid)
+    Ok(resource.with_lock(|watcher| watcher.info(rid)))
 }
 
 #[tauri::command]
 pub async fn unwatch<R: Runtime>(webview: Webview<R>, rid: ResourceId) -> CommandResult<()> {
     let watcher = webview.resources_table().take::<WatcherResource>(rid)?;
     WatcherResource::with_lock(&watcher, |watcher| {
-        match &mut watcher.kind {
-            WatcherKind::Debouncer(ref mut debouncer) => {
-                for path in &watcher.paths {
-                    debouncer.watcher().unwatch(path.as_ref()).map_err(|e| {
-                        format!("failed to unwatch path: {} with error: {e}", path.display())
-                    })?;
-                }
-            }
-            WatcherKind::Watcher(ref mut w) => {
-                for path in &watcher.paths {
-                    w.unwatch(path.as_ref()).map_err(|e| {
-                        format!("failed to unwatch path: {} with error: {e}", path.display())
-                    })?;
-                }
-            }
+        for path in watcher.paths.clone() {
+            watcher.unwatch(&path).map_err(|e| e.add_path(path))?;
+        }
+
+        Ok(())
+    })
+}
+
+#[derive(Clone, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct WatchPathOptions {
+    base_dir: Option<BaseDirectory>,
+}
+
+/// Starts watching `path` with the options the watcher was created with. Does nothing if `path` is already watched.
+#[tauri::command]
+pub async fn add_watch_path<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+    path: SafeFilePath,
+    options: Option<WatchPathOptions>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+) -> CommandResult<()> {
+    let path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.and_then(|o| o.base_dir),
+    )?;
+    let watcher = webview.resources_table().get::<WatcherResource>(rid)?;
+    watcher.with_lock(|watcher| {
+        if !watcher.paths.contains(&path) {
+            watcher.watch(&path).map_err(|e| e.add_path(path.clone()))?;
+            watcher.paths.push(path.clone());
         }
+        Ok(())
+    })
+}
 
+/// Stops watching `path`. Does nothing if `path` isn't watched.
+#[tauri::command]
+pub async fn remove_watch_path<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+    path: SafeFilePath,
+    options: Option<WatchPathOptions>,
+    global_scope: GlobalScope<Entry>,
+    command_scope: CommandScope<Entry>,
+) -> CommandResult<()> {
+    let path = resolve_path(
+        &webview,
+        &global_scope,
+        &command_scope,
+        path,
+        options.and_then(|o| o.base_dir),
+    )?;
+    let watcher = webview.resources_table().get::<WatcherResource>(rid)?;
+    watcher.with_lock(|watcher| {
+        if let Some(index) = watcher.paths.iter().position(|p| p == &path) {
+            watcher
+                .unwatch(&path)
+                .map_err(|e| e.add_path(path.clone()))?;
+            watcher.paths.remove(index);
+            watcher.removed.remove(&path);
+        }
         Ok(())
     })
 }
+
+#[tauri::command]
+pub async fn pause_watcher<R: Runtime>(webview: Webview<R>, rid: ResourceId) -> CommandResult<()> {
+    let watcher = webview.resources_table().get::<WatcherResource>(rid)?;
+    watcher.with_lock(|watcher| watcher.paused = true);
+    Ok(())
+}
+
+#[tauri::command]
+pub async fn resume_watcher<R: Runtime>(webview: Webview<R>, rid: ResourceId) -> CommandResult<()> {
+    let watcher = webview.resources_table().get::<WatcherResource>(rid)?;
+    watcher.with_lock(|watcher| watcher.paused = false);
+    Ok(())
+}
+
+#[tauri::command]
+pub async fn watcher_info<R: Runtime>(
+    webview: Webview<R>,
+    rid: ResourceId,
+) -> CommandResult<WatcherInfo> {
+    let watcher = webview.resources_table().get::<WatcherResource>(rid)?;
+    Ok(watcher.with_lock(|watcher| watcher.info(rid)))
+}
+
+/// Lists the watchers of the webview that haven't been closed yet.
+#[tauri::command]
+pub async fn list_watchers<R: Runtime>(webview: Webview<R>) -> CommandResult<Vec<WatcherInfo>> {
+    let resources_table = webview.resources_table();
+    let mut watchers: Vec<_> = resources_table
+        .names()
+        .filter_map(|(rid, _)| {
+            let watcher = resources_table.get::<WatcherResource>(rid).ok()?;
+            Some(watcher.with_lock(|watcher| watcher.info(rid)))
+        })
+        .collect();
+    watchers.sort_by_key(|watcher| watcher.rid);
+    Ok(watchers)
+}
+
+mod test {
+    use super::{EventFilter, WatchEventType};
+    use notify::{
+        event::{AccessKind, CreateKind, DataChange, ModifyKind, RemoveKind, RenameMode},
+        Event, EventKind,
+    };
+    use std::path::PathBuf;
+
+    fn filter(
+        include: &[&str],
+        exclude: &[&str],
+        events: Option<Vec<WatchEventType>>,
+    ) -> EventFilter {
+        let patterns = |patterns: &[&str]| {
+            patterns
+                .iter()
+                .map(|p| glob::Pattern::new(p).unwrap())
+                .collect()
+        };
+        EventFilter {
+            include: patterns(include),
+            exclude: patterns(exclude),
+            events,
+            ignore_access: false,
+        }
+    }
+
+    #[test]
+    fn event_filter_paths() {
+        let roots = [PathBuf::from("/w")];
+        let filter = filter(&["*.rs", "docs/**"], &["target", "*.tmp"], None);
+        let matches = |path: &str| {
+            let event = Event::new(EventKind::Create(CreateKind::File)).add_path(path.into());
+            filter.matches(&event, &roots)
+        };
+
+        assert!(matches("/w/lib.rs"));
+        assert!(matches("/w/src/lib.rs"));
+        assert!(matches("/w/docs/guide/index.md"));
+        assert!(!matches("/w/readme.md"));
+        // exclude wins over include, for the directories an entry is in too
+        assert!(!matches("/w/lib.rs.tmp"));
+        assert!(!matches("/w/target/lib.rs"));
+        assert!(!matches("/w/src/target/debug/lib.rs"));
+        // patterns with a separator are relative to the watched path
+        assert!(!matches("/w/src/docs/index.md"));
+
+        // one matching path is enough, e.g. for renames out of an excluded directory
+        let rename = Event::new(EventKind::Modify(ModifyKind::Name(RenameMode::Both)))
+            .add_path("/w/target/lib.rs".into())
+            .add_path("/w/lib.rs".into());
+        assert!(filter.matches(&rename, &roots));
+        assert!(filter.matches(&Event::new(EventKind::Other), &roots));
+    }
+
+    #[test]
+    fn event_filter_kinds() {
+        let roots = [PathBuf::from("/w")];
+        let matches = |filter: &EventFilter, kind| filter.matches(&Event::new(kind), &roots);
+
+        let all = filter(&[], &[], None);
+        assert!(matches(&all, EventKind::Access(AccessKind::Any)));
+        assert!(matches(&all, EventKind::Remove(RemoveKind::File)));
+
+        let mut ignore_access = all.clone();
+        ignore_access.ignore_access = true;
+        assert!(!matches(&ignore_access, EventKind::Access(AccessKind::Any)));
+        assert!(matches(&ignore_access, EventKind::Create(CreateKind::Any)));
+
+        let some = filter(
+            &[],
+            &[],
+            Some(vec![WatchEventType::Create, WatchEventType::Rename]),
+        );
+        assert!(matches(&some, EventKind::Create(CreateKind::Folder)));
+        assert!(matches(
+            &some,
+            EventKind::Modify(ModifyKind::Name(RenameMode::From))
+        ));
+        assert!(!matches(
+            &some,
+            EventKind::Modify(ModifyKind::Data(DataChange::Content))
+        ));
+        assert!(!matches(&some, EventKind::Remove(RemoveKind::Any)));
+        assert!(!matches(&some, EventKind::Access(AccessKind::Any)));
+        // the backend couldn't tell what happened
+        assert!(matches(&some, EventKind::Any));
+    }
+
+    #[test]
+    fn link_renames() {
+        use notify_debouncer_full::DebouncedEvent;
+        use std::time::Instant;
+
+        let rename = |mode, path: &str, tracker: Option<usize>| {
+            let event = Event::new(EventKind::Modify(ModifyKind::Name(mode))).add_path(path.into());
+            let event = match tracker {
+                Some(tracker) => event.set_tracker(tracker),
+                None => event,
+            };
+            DebouncedEvent::new(event, Instant::now())
+        };
+        let mut events = vec![
+            rename(RenameMode::From, "/a", Some(1)),
+            DebouncedEvent::new(
+                Event::new(EventKind::Create(CreateKind::File)).add_path("/c".into()),
+                Instant::now(),
+            ),
+            rename(RenameMode::To, "/b", Some(1)),
+            rename(RenameMode::From, "/x", None),
+            rename(RenameMode::To, "/y", Some(2)),
+        ];
+        super::link_renames(&mut events);
+
+        let events: Vec<_> = events
+            .into_iter()
+            .map(|event| (event.event.kind, event.event.paths))
+            .collect();
+        let name = |mode| EventKind::Modify(ModifyKind::Name(mode));
+        assert_eq!(
+            events,
+            [
+                (
+                    name(RenameMode::Both),
+                    vec![PathBuf::from("/a"), PathBuf::from("/b")]
+                ),
+                (
+                    EventKind::Create(CreateKind::File),
+                    vec![PathBuf::from("/c")]
+                ),
+                // halves without a matching tracker are sent as they are
+                (name(RenameMode::From), vec![PathBuf::from("/x")]),
+                (name(RenameMode::To), vec![PathBuf::from("/y")]),
+            ]
+        );
+    }
+}